@@ -19,35 +19,87 @@ class AuthSystem {
 
     checkAuthStatus() {
         const userData = localStorage.getItem('dsis_user');
-        if (userData) {
+        const token = localStorage.getItem('dsis_token');
+        if (userData && token) {
             this.currentUser = JSON.parse(userData);
             this.updateUIForLoggedInUser();
+            if (window.api) {
+                this.refreshCurrentUser();
+            }
         } else {
             this.redirectToLogin();
         }
     }
 
-    async login(email, password) {
+    // The copy in localStorage is only a cache for display, the server decides who we are
+    async refreshCurrentUser() {
         try {
-            const response = await api.login(email, password);
+            const response = await api.getCurrentUser();
             this.currentUser = response.user;
-            api.setToken(response.token);
-            if (response.token) {
-                try {
-                    localStorage.setItem('dsis_token', response.token);
-                } catch (e) {
-                    console.warn('Unable to persist token to localStorage:', e);
-                }
-            }
             localStorage.setItem('dsis_user', JSON.stringify(this.currentUser));
             this.updateUIForLoggedInUser();
+        } catch (error) {
+            if (error.status === 401) {
+                this.currentUser = null;
+                localStorage.removeItem('dsis_user');
+                api.setToken(null);
+                this.redirectToLogin();
+            }
+        }
+    }
+
+    // Resolves to true when logged in, false for a wrong email/password, or
+    // 'two-factor' when the account still needs a code (see completeTwoFactorLogin)
+    async login(email, password) {
+        try {
+            const response = await api.login(email, password);
+            if (response.twoFactorRequired) {
+                this.twoFactorChallenge = response.challengeToken;
+                return 'two-factor';
+            }
+            this.saveLogin(response);
             return true;
         } catch (error) {
             console.error('Login error:', error);
+            // Let the login form show the lockout message instead of "invalid password"
+            if (error.status === 429) {
+                throw error;
+            }
             return false;
         }
     }
 
+    // Ask for the authenticator (or backup) code. Resolves to false if the user
+    // cancels; a wrong code throws so the caller can show the server's message.
+    async completeTwoFactorLogin() {
+        const code = window.prompt('Enter the 6-digit code from your authenticator app, or one of your backup codes:');
+        if (!code) {
+            return false;
+        }
+
+        const response = await api.loginTwoFactor(this.twoFactorChallenge, code.trim());
+        this.twoFactorChallenge = null;
+        this.saveLogin(response);
+        if (response.backupCodesLeft !== undefined && response.backupCodesLeft < 3) {
+            alert(`You have ${response.backupCodesLeft} backup code(s) left. Create new ones on your profile page.`);
+        }
+        return true;
+    }
+
+    saveLogin(response) {
+        this.currentUser = response.user;
+        api.setToken(response.token);
+        if (response.token) {
+            try {
+                localStorage.setItem('dsis_token', response.token);
+            } catch (e) {
+                console.warn('Unable to persist token to localStorage:', e);
+            }
+        }
+        localStorage.setItem('dsis_user', JSON.stringify(this.currentUser));
+        this.updateUIForLoggedInUser();
+    }
+
     async logout() {
         const confirmed = window.confirm('Are you sure you want to logout?');
         if (!confirmed) {
@@ -88,7 +140,7 @@ class AuthSystem {
         // Update navigation to show user info and logout option
         const userIcon = document.querySelector('a[href="login.html"]');
         if (userIcon && this.currentUser) {
-            const firstName = this.currentUser.firstName || this.currentUser.first_name || '';
+            const firstName = this.currentUser.firstName || '';
             userIcon.innerHTML = `
                 <i class="fas fa-user-circle" style="font-size: 24px;"></i>
                 <span style="margin-left: 5px;">${firstName}</span>
@@ -115,10 +167,10 @@ class AuthSystem {
             min-width: 150px;
         `;
         
-        const firstName = this.currentUser.firstName || this.currentUser.first_name || '';
-        const lastName = this.currentUser.lastName || this.currentUser.last_name || '';
+        const firstName = this.currentUser.firstName || '';
+        const lastName = this.currentUser.lastName || '';
         const email = this.currentUser.email || '';
-        const isAdmin = (this.currentUser.userType === 'admin') || (this.currentUser.user_type === 'admin');
+        const isAdmin = this.currentUser.userType === 'admin';
         const profileLink = isAdmin ? 'admin/profile.html' : 'profile.html';
         
         menu.innerHTML = `
@@ -158,11 +210,20 @@ class AuthSystem {
         const remember = form.querySelector('input[name="remember"]')?.checked;
         
         try {
-            const success = await this.login(email, password);
+            let success = await this.login(email, password);
+            if (success === 'two-factor') {
+                success = await this.completeTwoFactorLogin();
+                if (!success) {
+                    return false;
+                }
+            }
             if (success) {
-                const isAdmin = (this.currentUser.userType === 'admin') || (this.currentUser.user_type === 'admin');
+                const userType = this.currentUser.userType;
                 const inAdminPath = window.location.pathname.includes('/admin/');
-                if (isAdmin) {
+                if (this.currentUser.twoFactorSetupRequired) {
+                    alert('Two-factor authentication is required for admin accounts. Please set it up now.');
+                    window.location.href = inAdminPath ? 'profile.html' : 'admin/profile.html';
+                } else if (['admin', 'staff'].includes(userType)) {
                     window.location.href = inAdminPath ? 'dashboard.html' : 'admin/dashboard.html';
                 } else {
                     window.location.href = inAdminPath ? '../main.html' : 'main.html';
@@ -172,7 +233,7 @@ class AuthSystem {
             }
         } catch (error) {
             console.error('Login error:', error);
-            alert('An error occurred during login. Please try again.');
+            alert(error?.data?.error || 'An error occurred during login. Please try again.');
         }
         return false;
     }
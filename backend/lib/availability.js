@@ -0,0 +1,165 @@
+// How many events a day can take. Instead of one booking per date, a day has
+// room for:
+//   MAX_EVENTS_PER_DAY    events in all (default 3)
+//   MAX_GUESTS_PER_DAY    guests over all its events (default 400)
+//   MAX_EVENTS_PER_SLOT   events in each time slot (default 1)
+// and an event of LARGE_EVENT_GUESTS guests or more (default 150, e.g. a big
+// wedding) needs the whole team, so it takes the day alone.
+// A booking also has a start and end time inside its slot, and events on the
+// same day need EVENT_BUFFER_MINUTES (default 60) between them for the team to
+// pack up, travel and set up again.
+// Cancelled bookings don't count. Admins also block whole days (holidays,
+// staff days off) in the blockedDates collection; those take no bookings.
+// The calendar (GET /api/availability) shows each day as available (nothing
+// booked yet), limited (some room left), full or blocked.
+
+const TIME_SLOTS = {
+    morning: 'Morning (6 AM - 12 NN)',
+    afternoon: 'Afternoon (12 NN - 5 PM)',
+    evening: 'Evening (5 PM - 11 PM)'
+};
+
+// When each slot starts and ends (HH:MM)
+const SLOT_HOURS = {
+    morning: { start: '06:00', end: '12:00' },
+    afternoon: { start: '12:00', end: '17:00' },
+    evening: { start: '17:00', end: '23:00' }
+};
+
+const SERVICE_STYLES = {
+    buffet: 'Buffet',
+    plated: 'Plated',
+    packed_meals: 'Packed meals'
+};
+
+const CAPACITY = {
+    maxEventsPerDay: parseInt(process.env.MAX_EVENTS_PER_DAY) || 3,
+    maxGuestsPerDay: parseInt(process.env.MAX_GUESTS_PER_DAY) || 400,
+    maxEventsPerSlot: parseInt(process.env.MAX_EVENTS_PER_SLOT) || 1,
+    largeEventGuests: parseInt(process.env.LARGE_EVENT_GUESTS) || 150,
+    bufferMinutes: parseInt(process.env.EVENT_BUFFER_MINUTES) || 60
+};
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Checks a schema can't do: the start and end time fit in the time slot.
+// Returns the wrong fields, or null.
+function timeProblems({ timeSlot, startTime, endTime }) {
+    const hours = SLOT_HOURS[timeSlot];
+    const errors = {};
+    if (toMinutes(startTime) < toMinutes(hours.start) || toMinutes(startTime) >= toMinutes(hours.end)) {
+        errors.startTime = `must be within the ${timeSlot} slot (${hours.start} - ${hours.end})`;
+    }
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+        errors.endTime = 'must be after startTime';
+    } else if (toMinutes(endTime) > toMinutes(hours.end)) {
+        errors.endTime = `must be no later than ${hours.end}, the end of the ${timeSlot} slot`;
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// The start and end times of a day's bookings, earliest first. Bookings from
+// before times existed have none and are left out.
+function bookedTimes(bookings) {
+    return activeBookings(bookings)
+        .filter(b => b.startTime && b.endTime)
+        .map(b => ({ startTime: b.startTime, endTime: b.endTime }))
+        .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+// The bookings that take up room on their day
+function activeBookings(bookings) {
+    return bookings.filter(b => b.bookingStatus !== 'cancelled');
+}
+
+// What is already taken on a day, from that day's bookings
+function dayUsage(bookings) {
+    const active = activeBookings(bookings);
+    const slots = Object.fromEntries(Object.keys(TIME_SLOTS).map(slot => [slot, 0]));
+    active.forEach(b => {
+        if (b.timeSlot in slots) slots[b.timeSlot]++;
+    });
+    return {
+        events: active.length,
+        guests: active.reduce((sum, b) => sum + (Number(b.numGuests) || 0), 0),
+        slots,
+        hasLargeEvent: active.some(b => b.numGuests >= CAPACITY.largeEventGuests)
+    };
+}
+
+// Why a new event of numGuests in timeSlot, from startTime to endTime, doesn't
+// fit on a day that already has these bookings, or null if it does. The
+// reasons are shown to customers.
+function capacityProblem(bookings, { numGuests, timeSlot, startTime, endTime }) {
+    const usage = dayUsage(bookings);
+
+    if (usage.hasLargeEvent) {
+        return 'This date is already taken by a large event. Please choose another date.';
+    }
+    if (numGuests >= CAPACITY.largeEventGuests && usage.events > 0) {
+        return `Events of ${CAPACITY.largeEventGuests} guests or more need the whole day, and this date already has other events. Please choose another date.`;
+    }
+    if (usage.events >= CAPACITY.maxEventsPerDay) {
+        return 'Sorry, this date is fully booked. Please choose another date.';
+    }
+    if (usage.guests + numGuests > CAPACITY.maxGuestsPerDay) {
+        const left = Math.max(CAPACITY.maxGuestsPerDay - usage.guests, 0);
+        return `This date can only take ${left} more guest(s). Please choose another date or fewer guests.`;
+    }
+    if (usage.slots[timeSlot] >= CAPACITY.maxEventsPerSlot) {
+        return `The ${timeSlot} slot on this date is already booked. Please choose another time slot or date.`;
+    }
+    const buffer = CAPACITY.bufferMinutes;
+    const clash = startTime && endTime && bookedTimes(bookings).find(other =>
+        toMinutes(startTime) < toMinutes(other.endTime) + buffer &&
+        toMinutes(other.startTime) < toMinutes(endTime) + buffer);
+    if (clash) {
+        return `Another event on this date runs from ${clash.startTime} to ${clash.endTime}, and we need ${buffer} minutes between events to pack up, travel and set up. Please choose another time.`;
+    }
+    return null;
+}
+
+// A day's status for the calendar, from its bookings and whether it is blocked.
+// remaining says how much room is left (all zero when the day is full) and
+// bookedTimes when the day's events already run.
+function dayStatus(bookings, blocked) {
+    const usage = dayUsage(bookings);
+    const full = usage.hasLargeEvent ||
+        usage.events >= CAPACITY.maxEventsPerDay ||
+        usage.guests >= CAPACITY.maxGuestsPerDay ||
+        Object.values(usage.slots).every(count => count >= CAPACITY.maxEventsPerSlot);
+    const open = !blocked && !full;
+
+    let status = 'available';
+    if (blocked) status = 'blocked';
+    else if (full) status = 'full';
+    else if (usage.events > 0) status = 'limited';
+
+    return {
+        status,
+        events: usage.events,
+        bookedTimes: blocked ? [] : bookedTimes(bookings),
+        remaining: {
+            events: open ? CAPACITY.maxEventsPerDay - usage.events : 0,
+            guests: open ? CAPACITY.maxGuestsPerDay - usage.guests : 0,
+            slots: Object.keys(TIME_SLOTS).filter(slot => open && usage.slots[slot] < CAPACITY.maxEventsPerSlot),
+            // A large event needs the day to itself
+            largeEvent: open && usage.events === 0
+        }
+    };
+}
+
+module.exports = {
+    TIME_SLOTS,
+    SLOT_HOURS,
+    SERVICE_STYLES,
+    CAPACITY,
+    activeBookings,
+    dayUsage,
+    timeProblems,
+    capacityProblem,
+    dayStatus
+};
@@ -0,0 +1,71 @@
+// Customers changing their own bookings (PUT /api/bookings/:id).
+// A booking can be changed until MODIFICATION_CUTOFF_DAYS (default 7) days
+// before the event, and only while it is still being planned. Moving it needs
+// the new date to be that far away too. Each change is added to the booking's
+// changeHistory with the old and new value of every field that changed, and
+// the staff who manage bookings get an email about it.
+
+const { APP_URL, sendMail } = require('./mailer');
+
+const MODIFICATION_CUTOFF_DAYS = parseInt(process.env.MODIFICATION_CUTOFF_DAYS) || 7;
+
+// Statuses in which the customer may still change the booking
+const MODIFIABLE_STATUSES = ['inquiry', 'pending', 'confirmed', 'deposit-paid'];
+
+// Whole days from today until date (YYYY-MM-DD)
+function daysUntil(date) {
+    const today = new Date().toISOString().slice(0, 10);
+    return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+}
+
+// Why the customer can't change this booking any more, or null if they can
+function modificationProblem(booking) {
+    if (!MODIFIABLE_STATUSES.includes(booking.bookingStatus)) {
+        return `A ${booking.bookingStatus} booking can't be changed. Please message us if you need help.`;
+    }
+    if (daysUntil(booking.eventDate) < MODIFICATION_CUTOFF_DAYS) {
+        return `Bookings can only be changed up to ${MODIFICATION_CUTOFF_DAYS} days before the event. Please message us for last-minute changes.`;
+    }
+    return null;
+}
+
+// The fields whose value differs between before and after, as
+// { field: { from, to } }. Values are compared as JSON so lists count too.
+function describeChanges(before, after, fields) {
+    return Object.fromEntries(fields
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }]));
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.map(item => `${item.quantity} x ${item.itemName}`).join(', ') || 'none';
+    return value === null || value === '' ? 'none' : String(value);
+}
+
+// Email the staff who manage bookings about a customer's change. Failing to
+// send doesn't undo the change, so errors are only logged.
+async function notifyStaff(staff, booking, changes) {
+    const lines = Object.entries(changes).map(([field, change]) =>
+        `  ${field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+    try {
+        await Promise.all(staff.map(user => sendMail({
+            to: user.email,
+            subject: `Booking ${booking.bookingId} was changed by the customer`,
+            text: `Hi ${user.firstName || ''},\n\n` +
+                `${booking.customerName} changed booking ${booking.bookingId} for ${booking.eventDate}:\n` +
+                `${lines.join('\n')}\n\n` +
+                `See it at ${APP_URL}/admin/bookings.html`
+        })));
+    } catch (error) {
+        console.error('Error sending booking change email:', error);
+    }
+}
+
+module.exports = {
+    MODIFICATION_CUTOFF_DAYS,
+    MODIFIABLE_STATUSES,
+    daysUntil,
+    modificationProblem,
+    describeChanges,
+    notifyStaff
+};
@@ -0,0 +1,63 @@
+// The stages a booking goes through and the changes allowed between them:
+//
+//   inquiry -> pending -> deposit-paid -> confirmed -> in-preparation -> completed
+//                                                                     -> no-show
+//
+// Every stage before completed can also go to cancelled. completed, cancelled
+// and no-show are final. New bookings start as pending; inquiry is for events
+// a customer has asked about but not yet booked. Recording the deposit moves a
+// pending booking on to deposit-paid, and a booking is only confirmed once its
+// deposit is paid (see lib/paymentSchedule.js).
+// Each change is added to the booking's statusHistory with who made it, when
+// and why, so the history can't drift from bookingStatus.
+
+const NEXT_STATUSES = {
+    'inquiry': ['pending', 'cancelled'],
+    'pending': ['deposit-paid', 'cancelled'],
+    'deposit-paid': ['confirmed', 'cancelled'],
+    'confirmed': ['in-preparation', 'cancelled'],
+    'in-preparation': ['completed', 'no-show', 'cancelled'],
+    'completed': [],
+    'cancelled': [],
+    'no-show': []
+};
+
+const BOOKING_STATUSES = Object.keys(NEXT_STATUSES);
+
+// Changes that need a reason, so the customer can be told why
+const REASON_REQUIRED = ['cancelled', 'no-show'];
+
+// Why a booking can't go from one status to another, or null if it can
+function changeProblem(from, to) {
+    if (from === to) return `The booking is already ${to}`;
+    const next = NEXT_STATUSES[from] || [];
+    if (!next.includes(to)) {
+        return next.length > 0
+            ? `A ${from} booking can't be changed to ${to}. It can go to: ${next.join(', ')}`
+            : `A ${from} booking can't be changed any more`;
+    }
+    return null;
+}
+
+// Why a change to this status needs a reason that wasn't given, or null
+function missingReason(to, reason) {
+    return REASON_REQUIRED.includes(to) && !reason ? `Please give a reason for marking the booking ${to}` : null;
+}
+
+// Set a booking's status and add the change to its history. from is null for
+// a new booking.
+function recordStatus(booking, to, user, reason) {
+    const entry = {
+        from: booking.bookingStatus || null,
+        to,
+        at: new Date().toISOString(),
+        byUserId: user.id,
+        byName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+        reason: reason || ''
+    };
+    booking.bookingStatus = to;
+    booking.statusHistory = [...(booking.statusHistory || []), entry];
+    return booking;
+}
+
+module.exports = { BOOKING_STATUSES, NEXT_STATUSES, REASON_REQUIRED, changeProblem, missingReason, recordStatus };
@@ -0,0 +1,176 @@
+// Cancellation policy. The fee is a share of the booking's total (VAT
+// included) that depends on how many days before the event it is cancelled.
+// CANCELLATION_POLICY lists the tiers as days:percent, e.g. the default
+//   30:0,7:25,0:50
+// means no fee 30 or more days before the event, 25% from 7 days before and
+// 50% in the last week. Staff can waive the fee when the cancellation is on
+// our side (e.g. we can't cater the date after all).
+// Whatever was paid beyond the fee is refunded, and installments not paid yet
+// are cancelled. If the booking has a receipt,
+// a credit note (numbered CN000001, CN000002, ...) is issued against it for
+// the part of the booking's total that is no longer owed.
+
+const db = require('../repositories');
+const { withTax, roundMoney } = require('./pricing');
+const { daysUntil } = require('./bookingChanges');
+const { recordStatus } = require('./bookingStatus');
+const { totalPaid, recordRefund } = require('./payments');
+const { settleSchedule } = require('./paymentSchedule');
+const { nextReference } = require('../repositories/sequences');
+
+const CREDIT_NOTE_NUMBER_COUNTER = 'creditNoteNumber';
+
+// Tiers from the most days before the event to the fewest
+function parsePolicy(text) {
+    return text.split(',')
+        .map(tier => tier.split(':').map(Number))
+        .filter(([days, percent]) => Number.isInteger(days) && days >= 0 && percent >= 0 && percent <= 100)
+        .map(([days, percent]) => ({ daysBefore: days, feePercent: percent }))
+        .sort((a, b) => b.daysBefore - a.daysBefore);
+}
+
+const CANCELLATION_POLICY = parsePolicy(process.env.CANCELLATION_POLICY || '30:0,7:25,0:50');
+
+function formatCreditNoteNumber(number) {
+    return `CN${String(number).padStart(6, '0')}`;
+}
+
+function highestCreditNoteNumber(creditNotes) {
+    return creditNotes.reduce((max, note) => {
+        const match = /^CN(\d+)$/.exec(note.creditNoteNumber || '');
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+}
+
+// The receipt a cancellation is charged against: the booking's latest one
+function latestReceipt(receipts) {
+    return receipts.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt)).pop() || null;
+}
+
+// What cancelling a booking today costs, given the payments made on it. The
+// fee is on the booking's current total, which a receipt follows (see
+// routes/receipts.js). Events that are already past fall in the last tier.
+function cancellationTerms(booking, payments, { waiveFee = false } = {}) {
+    const daysBeforeEvent = daysUntil(booking.eventDate);
+    const tier = CANCELLATION_POLICY.find(t => daysBeforeEvent >= t.daysBefore) ||
+        CANCELLATION_POLICY[CANCELLATION_POLICY.length - 1] || { daysBefore: 0, feePercent: 0 };
+    const feePercent = waiveFee ? 0 : tier.feePercent;
+
+    const bookingTotal = withTax(booking.totalAmount).totalAmount;
+    const amountPaid = totalPaid(payments);
+    const feeAmount = roundMoney(bookingTotal * feePercent / 100);
+
+    return {
+        daysBeforeEvent,
+        feePercent,
+        feeWaived: waiveFee && tier.feePercent > 0,
+        bookingTotal,
+        amountPaid,
+        feeAmount,
+        refundAmount: roundMoney(Math.max(amountPaid - feeAmount, 0)),
+        // Fee still to be paid when less than that was paid
+        amountDue: roundMoney(Math.max(feeAmount - amountPaid, 0))
+    };
+}
+
+// Cancel a booking with the policy's fee, put the refund in the payments
+// ledger and issue a credit note against its receipt. Resolves to { booking, creditNote } or { problem } if
+// the booking can no longer be cancelled (checkProblem(booking) says why).
+async function cancelBooking(bookingId, user, { reason, waiveFee, byCustomer }, checkProblem) {
+    const booking = await db.bookings.get(bookingId);
+    if (!booking) return { booking: null, creditNote: null };
+    const receipt = latestReceipt(await db.receipts.list({ bookingId: booking.bookingId }));
+
+    const result = await db.bookings.transaction(bookings => {
+        const found = bookings.get(bookingId);
+        const problem = checkProblem(found);
+        if (problem) return { problem };
+
+        // Read here rather than before, so a payment that has just come in is
+        // part of the refund
+        const payments = db.payments.readNow(table => table.list({ bookingId: found.id }));
+        const terms = cancellationTerms(found, payments, { waiveFee });
+        return {
+            booking: bookings.update(bookingId, record => {
+                recordStatus(record, 'cancelled', user, reason);
+                // What was paid by now stays paid; the rest is called off
+                if (record.paymentSchedule) {
+                    record.paymentSchedule = settleSchedule(record.paymentSchedule, payments).map(installment =>
+                        (installment.status === 'pending' ? { ...installment, status: 'cancelled' } : installment));
+                }
+                record.cancellation = {
+                    ...terms,
+                    cancelledAt: new Date().toISOString(),
+                    cancelledBy: user.id,
+                    byCustomer: !!byCustomer,
+                    reason,
+                    receiptNumber: receipt ? receipt.receiptNumber : null,
+                    creditNoteNumber: null
+                };
+            })
+        };
+    });
+    if (result.problem) return { ...result, creditNote: null };
+    await recordRefund(result.booking);
+    if (!receipt) return { ...result, creditNote: null };
+    return issueCreditNote(result.booking, receipt);
+}
+
+// Issue the credit note of a cancelled booking against its receipt, and note
+// its number on both. A booking gets one credit note however often this runs,
+// so a cancellation cut off before its note was issued can be finished later
+// (see finishCancellations). Resolves to { booking, creditNote }.
+async function issueCreditNote(booking, receipt) {
+    const terms = booking.cancellation;
+    // The number is taken in the same transaction as the insert, like receipt numbers
+    const creditNote = await db.creditNotes.transaction(creditNotes => creditNotes.findOne({ bookingId: booking.bookingId }) || creditNotes.insert({
+        creditNoteId: nextReference(creditNotes, 'creditNoteId', 'CN'),
+        creditNoteNumber: formatCreditNoteNumber(creditNotes.nextNumber(CREDIT_NOTE_NUMBER_COUNTER, highestCreditNoteNumber(creditNotes.list()))),
+        receiptId: receipt.receiptId,
+        receiptNumber: receipt.receiptNumber,
+        bookingId: booking.bookingId,
+        userId: booking.userId,
+        customerName: booking.customerName,
+        customerEmail: booking.customerEmail,
+        // The part of the booking's total no longer owed, and what of it goes
+        // back to the customer
+        creditAmount: roundMoney(terms.bookingTotal - terms.feeAmount),
+        feeAmount: terms.feeAmount,
+        feePercent: terms.feePercent,
+        refundAmount: terms.refundAmount,
+        reason: terms.reason,
+        issuedDate: new Date().toISOString().split('T')[0],
+        createdAt: new Date().toISOString()
+    }));
+
+    const [updated] = await Promise.all([
+        db.bookings.update(booking.id, record => { record.cancellation.creditNoteNumber = creditNote.creditNoteNumber; }),
+        db.receipts.update(receipt.id, record => { record.creditNoteNumber = creditNote.creditNoteNumber; })
+    ]);
+    return { booking: updated, creditNote };
+}
+
+// Run at startup: finish the cancellations that stopped before their refund
+// was put in the ledger or their credit note was issued or noted on the
+// booking. Resolves to the number finished.
+async function finishCancellations() {
+    const [cancelled, refunds] = await Promise.all([
+        db.bookings.list({ bookingStatus: 'cancelled' }),
+        db.payments.list({ type: 'refund' })
+    ]);
+    const refunded = new Set(refunds.map(refund => refund.bookingId));
+    let finished = 0;
+    for (const booking of cancelled.filter(b => b.cancellation)) {
+        const missingRefund = booking.cancellation.refundAmount > 0 && !refunded.has(booking.id);
+        const missingCreditNote = booking.cancellation.receiptNumber && !booking.cancellation.creditNoteNumber;
+        if (!missingRefund && !missingCreditNote) continue;
+
+        if (missingRefund) await recordRefund(booking);
+        const receipt = missingCreditNote && await db.receipts.findOne({ receiptNumber: booking.cancellation.receiptNumber });
+        if (receipt) await issueCreditNote(booking, receipt);
+        finished++;
+    }
+    return finished;
+}
+
+module.exports = { CANCELLATION_POLICY, cancellationTerms, cancelBooking, finishCancellations };
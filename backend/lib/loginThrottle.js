@@ -0,0 +1,98 @@
+// Failed login tracking per account and per IP address
+// After a few failures each new attempt has to wait a little longer, and after
+// many failures the account (or IP) is locked for a while. The counters are kept
+// in login-attempts.json so a restart does not reset them.
+
+const { readData, updateData, removeWhere } = require('./storage');
+
+const ATTEMPTS_FILE = 'login-attempts.json';
+const ACCOUNT_FREE_ATTEMPTS = 3;    // failures before delays start
+const IP_FREE_ATTEMPTS = 10;        // higher, several people may share an IP
+const MAX_DELAY_SECONDS = 60;
+const ACCOUNT_LOCK_AFTER = 10;
+const IP_LOCK_AFTER = 30;
+const LOCK_MINUTES = 15;
+const FAILURE_WINDOW_MINUTES = 15;  // failures older than this are forgotten
+
+function keysFor(email, ip) {
+    return [`account:${String(email).trim().toLowerCase()}`, `ip:${ip}`];
+}
+
+// A record is stale once its lock has run out or its last failure is old enough
+function isStale(record, now) {
+    if (record.lockedUntil) {
+        return new Date(record.lockedUntil) <= now;
+    }
+    return now - new Date(record.lastFailureAt) > FAILURE_WINDOW_MINUTES * 60 * 1000;
+}
+
+function waitSeconds(record, now) {
+    if (record.lockedUntil) {
+        return Math.ceil((new Date(record.lockedUntil) - now) / 1000);
+    }
+    const freeAttempts = record.key.startsWith('ip:') ? IP_FREE_ATTEMPTS : ACCOUNT_FREE_ATTEMPTS;
+    if (record.failures < freeAttempts) return 0;
+
+    const delay = Math.min(2 ** (record.failures - freeAttempts), MAX_DELAY_SECONDS);
+    const readyAt = new Date(record.lastFailureAt).getTime() + delay * 1000;
+    return Math.max(0, Math.ceil((readyAt - now) / 1000));
+}
+
+// Returns null when the login may go ahead, otherwise { retryAfter, locked }
+function checkLogin(email, ip) {
+    const now = new Date();
+    const keys = keysFor(email, ip);
+    const records = readData(ATTEMPTS_FILE).filter(r => keys.includes(r.key) && !isStale(r, now));
+
+    let result = null;
+    records.forEach(record => {
+        const retryAfter = waitSeconds(record, now);
+        if (retryAfter > 0 && (!result || retryAfter > result.retryAfter)) {
+            result = { retryAfter, locked: !!record.lockedUntil };
+        }
+    });
+    return result;
+}
+
+function recordFailure(email, ip) {
+    const now = new Date();
+    const [accountKey, ipKey] = keysFor(email, ip);
+
+    return updateData(ATTEMPTS_FILE, records => {
+        removeWhere(records, r => isStale(r, now));
+
+        [[accountKey, ACCOUNT_LOCK_AFTER], [ipKey, IP_LOCK_AFTER]].forEach(([key, lockAfter]) => {
+            let record = records.find(r => r.key === key);
+            if (!record) {
+                record = { key, failures: 0, lastFailureAt: null, lockedUntil: null };
+                records.push(record);
+            }
+            record.failures += 1;
+            record.lastFailureAt = now.toISOString();
+            if (record.failures >= lockAfter) {
+                record.lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000).toISOString();
+            }
+        });
+    });
+}
+
+// A successful login clears the account's failures. The IP counter is left to
+// expire on its own, so one valid account can't be used to reset it.
+function recordSuccess(email) {
+    const [accountKey] = keysFor(email, '');
+    return updateData(ATTEMPTS_FILE, records => {
+        removeWhere(records, r => r.key === accountKey);
+    });
+}
+
+function listLockouts() {
+    const now = new Date();
+    return readData(ATTEMPTS_FILE).filter(r => r.lockedUntil && new Date(r.lockedUntil) > now);
+}
+
+// Resolves to false if there was nothing to unlock
+function unlock(key) {
+    return updateData(ATTEMPTS_FILE, records => removeWhere(records, r => r.key === key).length > 0);
+}
+
+module.exports = { checkLogin, recordFailure, recordSuccess, listLockouts, unlock };
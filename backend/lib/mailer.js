@@ -0,0 +1,35 @@
+// Outgoing mail for the simple backend
+// There is no mail server in development, so messages go to a transport:
+//   file    - append the message to data/outbox.json (default)
+//   console - print the message to the server log
+// Set MAILER to pick one, or plug in another (e.g. SMTP) with setTransport().
+
+const { updateData } = require('./storage');
+
+const OUTBOX_FILE = 'outbox.json';
+// Where the HTML pages are served from, used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:5500';
+
+const transports = {
+    file: async (message) => {
+        await updateData(OUTBOX_FILE, outbox => {
+            outbox.push(message);
+        });
+    },
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+};
+
+let transport = transports[process.env.MAILER] || transports.file;
+
+// transport is an async function receiving { to, subject, text, sentAt }
+function setTransport(fn) {
+    transport = fn;
+}
+
+async function sendMail({ to, subject, text }) {
+    await transport({ to, subject, text, sentAt: new Date().toISOString() });
+}
+
+module.exports = { APP_URL, sendMail, setTransport, transports };
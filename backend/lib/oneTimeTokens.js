@@ -0,0 +1,71 @@
+// Single-use, expiring tokens (password resets and the like)
+// Only a SHA-256 hash of each token is stored, so reading tokens.json is not
+// enough to use one.
+
+const crypto = require('crypto');
+const { readData, updateData, removeWhere } = require('./storage');
+
+const TOKENS_FILE = 'tokens.json';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a token for the user and resolve to it. Older unused tokens with the
+// same purpose are dropped so only the latest link works.
+async function issueToken(purpose, userId, ttlMinutes) {
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await updateData(TOKENS_FILE, tokens => {
+        removeWhere(tokens, t =>
+            new Date(t.expiresAt) <= now || t.usedAt || (t.purpose === purpose && t.userId === userId)
+        );
+        tokens.push({
+            tokenHash: hashToken(token),
+            purpose,
+            userId,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+            usedAt: null
+        });
+    });
+
+    return token;
+}
+
+function findValid(tokens, purpose, token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const record = tokens.find(t => t.tokenHash === hashToken(token) && t.purpose === purpose);
+    if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+        return null;
+    }
+    return record;
+}
+
+// Return the token's record without using it up, or null if it is not valid
+function findToken(purpose, token) {
+    return findValid(readData(TOKENS_FILE), purpose, token);
+}
+
+// Mark the token as used and resolve to its record, or null if it is unknown, used or expired
+function consumeToken(purpose, token) {
+    return updateData(TOKENS_FILE, tokens => {
+        const record = findValid(tokens, purpose, token);
+        if (!record) return null;
+
+        record.usedAt = new Date().toISOString();
+        return record;
+    });
+}
+
+// Drop every token issued to a user, or only those for purpose if given.
+// Resolves to the number dropped.
+function discardUserTokens(userId, purpose) {
+    return updateData(TOKENS_FILE, tokens =>
+        removeWhere(tokens, t => t.userId === userId && (!purpose || t.purpose === purpose)).length
+    );
+}
+
+module.exports = { issueToken, findToken, consumeToken, discardUserTokens };
@@ -0,0 +1,35 @@
+// Password hashing helpers
+// Older accounts in users.json still have plaintext passwords. verifyPassword
+// accepts those so the user can log in once, and the login route then saves a
+// hash in its place (see needsRehash).
+
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+function isHashed(stored) {
+    return typeof stored === 'string' && /^\$2[aby]\$\d{2}\$/.test(stored);
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+// Only used when seeding sample data at startup
+function hashPasswordSync(password) {
+    return bcrypt.hashSync(password, SALT_ROUNDS);
+}
+
+async function verifyPassword(password, stored) {
+    if (!password || !stored) return false;
+    if (isHashed(stored)) {
+        return bcrypt.compare(password, stored);
+    }
+    return password === stored;
+}
+
+function needsRehash(stored) {
+    return !isHashed(stored);
+}
+
+module.exports = { hashPassword, hashPasswordSync, verifyPassword, needsRehash };
@@ -0,0 +1,313 @@
+// Online payments. Customers pay their next installment (the deposit first)
+// on a payment provider's checkout page:
+//   1. POST /api/bookings/:id/checkout opens a checkout: a record in the
+//      checkouts collection and a session at the provider, whose page the
+//      customer is sent to
+//   2. the provider calls POST /api/payments/webhook with the result, signed
+//      so nobody else can claim a checkout was paid
+//   3. handleWebhook() records a paid checkout in the payments ledger (see
+//      lib/payments.js); failed and expired ones are only marked as such
+// Providers retry webhooks, so the same event can arrive more than once. The
+// id of every event is kept on its checkout and a repeat is acknowledged but
+// not applied again, nor is a second payment for a checkout that is paid.
+// A checkout left open past CHECKOUT_EXPIRY_MINUTES (default 30) counts as
+// expired even before the provider says so.
+//
+// PAYMENT_PROVIDER picks the provider; without it there is no online payment:
+//   simulator - a stand-in for a real provider that runs inside this server,
+//               for development. Its checkout page is payment-simulator.html,
+//               where the checkout's customer can make the payment succeed,
+//               fail or expire and send its webhook again. It takes no money,
+//               so the server won't start with it when NODE_ENV=production.
+// Plug in a real one with setProvider(). A provider has
+//   name
+//   createCheckout({ checkoutId, amount, description, customerEmail, returnUrl, expiresAt })
+//       resolves to { providerReference, checkoutUrl }
+//   parseWebhook(rawBody, headers)
+//       returns the event { eventId, type, providerReference, amount, method,
+//       reference, failureReason }, type being checkout.paid, checkout.failed
+//       or checkout.expired and method one of PAYMENT_METHODS, or throws a
+//       WebhookSignatureError if the signature doesn't match
+
+const crypto = require('crypto');
+const db = require('../repositories');
+const { APP_URL } = require('./mailer');
+const { NEXT_STATUSES } = require('./bookingStatus');
+const { settleSchedule, nextInstallment } = require('./paymentSchedule');
+const { PAYMENT_METHODS, totalPaid, recordPayment } = require('./payments');
+const { nextReference } = require('../repositories/sequences');
+
+const CHECKOUT_EXPIRY_MINUTES = parseInt(process.env.CHECKOUT_EXPIRY_MINUTES) || 30;
+// How old a signed webhook may be, so a captured one can't be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+const WEBHOOK_URL = process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+// The simulator signs and checks its webhooks in this process, so a random
+// secret does unless PAYMENT_WEBHOOK_SECRET is set
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Who status changes made by a webhook are recorded as
+const GATEWAY_USER = { id: null, firstName: 'Online', lastName: 'payment' };
+
+const CHECKOUT_STATUSES = { 'checkout.paid': 'paid', 'checkout.failed': 'failed', 'checkout.expired': 'expired' };
+
+class WebhookSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+    }
+}
+
+function hmac(timestamp, body) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The signature header, t=<unix time>,v1=<HMAC-SHA256 of "t.body">
+function signWebhook(body, now = Date.now()) {
+    const timestamp = Math.floor(now / 1000);
+    return `t=${timestamp},v1=${hmac(timestamp, body)}`;
+}
+
+function verifyWebhook(body, header, now = Date.now()) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) throw new WebhookSignatureError('The webhook is not signed');
+    if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        throw new WebhookSignatureError('The webhook signature has expired');
+    }
+    const expected = Buffer.from(hmac(timestamp, body));
+    const given = Buffer.from(parts.v1);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new WebhookSignatureError('The webhook signature does not match');
+    }
+}
+
+// The simulator keeps its sessions in memory, like a provider's own records,
+// so they are gone after a restart
+function createSimulator() {
+    const sessions = new Map();
+
+    async function deliver(event) {
+        const body = JSON.stringify(event);
+        const response = await fetch(WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Simulator-Signature': signWebhook(body) },
+            body
+        });
+        return response.status;
+    }
+
+    return {
+        name: 'simulator',
+
+        async createCheckout({ checkoutId, amount, description, returnUrl, expiresAt }) {
+            const providerReference = `sim_${crypto.randomBytes(12).toString('hex')}`;
+            sessions.set(providerReference, { providerReference, checkoutId, amount, description, returnUrl, expiresAt, status: 'open', events: [] });
+            return { providerReference, checkoutUrl: `${APP_URL}/payment-simulator.html?session=${providerReference}` };
+        },
+
+        parseWebhook(rawBody, headers) {
+            const body = rawBody ? rawBody.toString('utf8') : '';
+            verifyWebhook(body, headers['x-simulator-signature']);
+            return JSON.parse(body);
+        },
+
+        // What the checkout page shows, or null for an unknown session
+        session(reference) {
+            const session = sessions.get(reference);
+            if (!session) return null;
+            const { events, ...shown } = session;
+            const expired = shown.status === 'open' && new Date(shown.expiresAt) <= new Date();
+            return { ...shown, status: expired ? 'expired' : shown.status, eventsSent: events.length };
+        },
+
+        // End the session as paid, failed or expired and send its webhook.
+        // Resolves to { event, webhookStatus }, or { problem } if the session
+        // is unknown or already ended. One past its expiry can only expire.
+        async complete(reference, outcome, method = 'gcash') {
+            const stored = sessions.get(reference);
+            if (!stored) return { problem: 'Unknown checkout session' };
+            if (stored.status !== 'open') return { problem: `This checkout is already ${stored.status}` };
+            if (outcome !== 'expired' && this.session(reference).status === 'expired') {
+                return { problem: 'This checkout has expired' };
+            }
+
+            const event = {
+                eventId: `evt_${crypto.randomBytes(12).toString('hex')}`,
+                type: `checkout.${outcome}`,
+                providerReference: reference,
+                amount: stored.amount,
+                method: outcome === 'paid' ? method : null,
+                reference: outcome === 'paid' ? `SIM-${crypto.randomBytes(4).toString('hex').toUpperCase()}` : null,
+                failureReason: outcome === 'failed' ? 'The payment was declined' : null,
+                createdAt: new Date().toISOString()
+            };
+            stored.status = outcome;
+            stored.events.push(event);
+            return { event, webhookStatus: await deliver(event) };
+        },
+
+        // Send the session's last webhook again, as providers do when they
+        // don't hear back
+        async resend(reference) {
+            const session = sessions.get(reference);
+            if (!session || session.events.length === 0) return { problem: 'No webhook has been sent for this checkout yet' };
+            const event = session.events[session.events.length - 1];
+            return { event, webhookStatus: await deliver(event) };
+        }
+    };
+}
+
+const providers = {
+    simulator: createSimulator()
+};
+
+let provider = providers[process.env.PAYMENT_PROVIDER] || null;
+
+// Throws if PAYMENT_PROVIDER names no provider, or the simulator in production
+function checkPaymentProvider() {
+    const name = process.env.PAYMENT_PROVIDER;
+    if (!name) return;
+    if (!providers[name]) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+    if (name === 'simulator' && process.env.NODE_ENV === 'production') {
+        throw new Error('The payment simulator marks checkouts paid without taking any money and can\'t be used in production');
+    }
+}
+
+function getProvider() {
+    return provider;
+}
+
+function setProvider(newProvider) {
+    provider = newProvider;
+}
+
+// Open counts as expired once expiresAt has passed
+function checkoutStatus(checkout) {
+    return checkout.status === 'open' && new Date(checkout.expiresAt) <= new Date() ? 'expired' : checkout.status;
+}
+
+// Open a checkout for the booking's next installment, or hand back one that
+// is still open for the same amount. Resolves to { checkout }, or { problem }
+// if there is nothing to pay online. Rejects if the provider can't be reached.
+async function openCheckout(booking) {
+    if (!provider) return { problem: 'Online payment is not available. Please pay at our office.' };
+    if (!booking.paymentSchedule) return { problem: 'This booking can\'t be paid online. Please pay at our office.' };
+    if ((NEXT_STATUSES[booking.bookingStatus] || []).length === 0) {
+        return { problem: `A ${booking.bookingStatus} booking can't be paid online` };
+    }
+
+    const [payments, checkouts] = await Promise.all([
+        db.payments.list({ bookingId: booking.id }),
+        db.checkouts.list({ bookingId: booking.id })
+    ]);
+    const next = nextInstallment(settleSchedule(booking.paymentSchedule, payments), totalPaid(payments));
+    if (!next) return { problem: 'Nothing is due on this booking right now' };
+
+    const open = checkouts.find(c => checkoutStatus(c) === 'open' && c.amount === next.amount && c.provider === provider.name);
+    if (open) return { checkout: open };
+
+    // The provider needs the id before the checkout is saved, so it is taken
+    // on its own; one left unused when the provider can't be reached is skipped
+    const checkoutId = await db.checkouts.transaction(checkouts => nextReference(checkouts, 'checkoutId', 'CO'));
+    const expiresAt = new Date(Date.now() + CHECKOUT_EXPIRY_MINUTES * 60 * 1000).toISOString();
+    const session = await provider.createCheckout({
+        checkoutId,
+        amount: next.amount,
+        description: `${next.installment.label} for booking ${booking.bookingId}`,
+        customerEmail: booking.customerEmail,
+        returnUrl: `${APP_URL}/profile.html?checkout=${checkoutId}`,
+        expiresAt
+    });
+
+    const checkout = await db.checkouts.insert({
+        checkoutId,
+        bookingId: booking.id,
+        userId: booking.userId,
+        customerEmail: booking.customerEmail,
+        installmentNumber: next.installment.number,
+        label: next.installment.label,
+        amount: next.amount,
+        provider: provider.name,
+        providerReference: session.providerReference,
+        checkoutUrl: session.checkoutUrl,
+        status: 'open',
+        expiresAt,
+        failureReason: null,
+        paymentId: null,
+        events: [],
+        createdAt: new Date().toISOString(),
+        completedAt: null
+    });
+    return { checkout };
+}
+
+// Apply a webhook from the provider. Resolves to { checkout } with the
+// checkout as it is now, { duplicate: true } for an event that was already
+// applied, or { ignored } with why it was left alone. Throws a
+// WebhookSignatureError if the webhook isn't signed by the provider.
+async function handleWebhook(rawBody, headers) {
+    if (!provider) return { ignored: 'Online payment is not set up' };
+    const event = provider.parseWebhook(rawBody, headers);
+    const status = CHECKOUT_STATUSES[event.type];
+    if (!status) return { ignored: `Unknown event type ${event.type}` };
+
+    const checkout = await db.checkouts.findOne({ providerReference: event.providerReference });
+    if (!checkout) {
+        console.warn(`Webhook ${event.eventId} is for an unknown checkout ${event.providerReference}`);
+        return { ignored: 'Unknown checkout' };
+    }
+
+    // Claiming the event and changing the status happen together, so the same
+    // event delivered twice at once is still only applied once
+    const claimed = await db.checkouts.transaction(checkouts => {
+        const found = checkouts.get(checkout.id);
+        if (found.events.some(e => e.eventId === event.eventId)) return { duplicate: true };
+        const applies = found.status !== 'paid';
+        const updated = checkouts.update(found.id, record => {
+            record.events = [...record.events, { eventId: event.eventId, type: event.type, receivedAt: new Date().toISOString(), applied: applies }];
+            if (!applies) return;
+            record.status = status;
+            record.failureReason = event.failureReason || null;
+            record.completedAt = new Date().toISOString();
+        });
+        return applies ? { checkout: updated } : { duplicate: true };
+    });
+    if (claimed.duplicate || status !== 'paid') return claimed;
+
+    // A paid checkout is recorded even when it came in after it expired or
+    // after the booking was paid some other way: the money has been taken.
+    // If recording fails the claim is undone, so the provider's retry gets
+    // another go.
+    try {
+        const booking = await db.bookings.get(checkout.bookingId);
+        const { payment } = await recordPayment(booking, {
+            amount: event.amount ?? checkout.amount,
+            method: PAYMENT_METHODS[event.method] ? event.method : 'card',
+            reference: event.reference,
+            checkoutId: checkout.checkoutId
+        }, GATEWAY_USER, { refuseOverpayment: false });
+        const updated = await db.checkouts.update(checkout.id, record => { record.paymentId = payment.paymentId; });
+        return { checkout: updated };
+    } catch (error) {
+        await db.checkouts.update(checkout.id, record => {
+            record.events = record.events.filter(e => e.eventId !== event.eventId);
+            record.status = checkout.status;
+            record.completedAt = checkout.completedAt;
+        });
+        throw error;
+    }
+}
+
+module.exports = {
+    CHECKOUT_EXPIRY_MINUTES,
+    WebhookSignatureError,
+    signWebhook,
+    verifyWebhook,
+    checkPaymentProvider,
+    getProvider,
+    setProvider,
+    providers,
+    checkoutStatus,
+    openCheckout,
+    handleWebhook
+};
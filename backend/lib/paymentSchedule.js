@@ -0,0 +1,161 @@
+// Payment schedules. A booking is paid in two installments:
+//   Deposit  DEPOSIT_PERCENT (default 30) of the total, due DEPOSIT_DUE_DAYS
+//            (default 3) days after booking
+//   Balance  the rest, due BALANCE_DUE_DAYS (default 3) days before the event
+// Nothing falls due after the balance, so a booking made shortly before its
+// event has both due on the same day. The total is the booking's total with
+// VAT, like the receipt.
+// Installments are paid off in order by the booking's payments (see
+// lib/payments.js): one is paid once the payments cover it and all before it,
+// so a deposit can come in several parts. That is worked out from the payments
+// whenever the booking is read; only the plan is stored. A pending installment
+// past its due date is overdue; when a booking is cancelled its pending
+// installments are cancelled too. The booking can only be confirmed once the
+// deposit is paid (see lib/bookingStatus.js). Bookings from before schedules
+// existed have none and are confirmed as before.
+
+const { withTax, roundMoney } = require('./pricing');
+
+const PAYMENT_TERMS = {
+    depositPercent: parseInt(process.env.DEPOSIT_PERCENT) || 30,
+    depositDueDays: parseInt(process.env.DEPOSIT_DUE_DAYS) || 3,
+    balanceDueDays: parseInt(process.env.BALANCE_DUE_DAYS) || 3
+};
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// date (YYYY-MM-DD) moved by days
+function addDays(date, days) {
+    const moved = new Date(`${date}T00:00:00Z`);
+    moved.setUTCDate(moved.getUTCDate() + days);
+    return moved.toISOString().slice(0, 10);
+}
+
+// When the deposit and balance of a booking made on bookedOn are due
+function dueDates(bookedOn, eventDate) {
+    const balance = addDays(eventDate, -PAYMENT_TERMS.balanceDueDays);
+    const deposit = addDays(bookedOn, PAYMENT_TERMS.depositDueDays);
+    const latest = balance > bookedOn ? balance : bookedOn;
+    return { deposit: deposit < latest ? deposit : latest, balance: latest };
+}
+
+// A new booking's schedule for subtotal (before VAT)
+function buildSchedule(subtotal, bookedOn, eventDate) {
+    const total = withTax(subtotal).totalAmount;
+    const deposit = roundMoney(total * PAYMENT_TERMS.depositPercent / 100);
+    const due = dueDates(bookedOn, eventDate);
+    return [
+        { number: 1, label: 'Deposit', amount: deposit, dueDate: due.deposit, status: 'pending', paidAt: null, method: null, reference: null, recordedBy: null },
+        { number: 2, label: 'Balance', amount: roundMoney(total - deposit), dueDate: due.balance, status: 'pending', paidAt: null, method: null, reference: null, recordedBy: null }
+    ];
+}
+
+// The schedule after the booking's price or date changed. Paid installments
+// stay as they are; an unpaid deposit is worked out again from the new total
+// and the balance takes the rest.
+function reschedule(schedule, subtotal, bookedOn, eventDate) {
+    const total = withTax(subtotal).totalAmount;
+    const due = dueDates(bookedOn, eventDate);
+    const [deposit, balance] = schedule.map(installment => ({ ...installment }));
+    if (deposit.status === 'pending') {
+        deposit.amount = roundMoney(total * PAYMENT_TERMS.depositPercent / 100);
+        deposit.dueDate = due.deposit;
+    }
+    if (balance.status === 'pending') {
+        balance.amount = roundMoney(Math.max(total - deposit.amount, 0));
+        balance.dueDate = due.balance;
+    }
+    return [deposit, balance];
+}
+
+// The first installment not paid yet and what is left of it once amountPaid
+// is taken off the installments before it, or null when nothing is due
+function nextInstallment(schedule, amountPaid) {
+    let due = 0;
+    for (const installment of schedule) {
+        if (installment.status === 'cancelled') continue;
+        due = roundMoney(due + installment.amount);
+        if (installment.status === 'pending' && due > amountPaid) {
+            return { installment, amount: roundMoney(due - amountPaid) };
+        }
+    }
+    return null;
+}
+
+function isOverdue(installment, on = today()) {
+    return installment.status === 'pending' && installment.dueDate < on;
+}
+
+// Whether the booking may be confirmed: its deposit is paid, or it has no schedule
+function depositPaid(booking) {
+    const schedule = booking.paymentSchedule;
+    return !schedule || schedule[0].status === 'paid';
+}
+
+// Why the booking can't go to this status before its deposit is paid, or null
+function depositProblem(booking, to) {
+    if (!['deposit-paid', 'confirmed'].includes(to) || depositPaid(booking)) return null;
+    return 'The deposit has not been recorded yet. Record it under the booking\'s payments first';
+}
+
+// The schedule with the installments that payments (oldest first) cover
+// marked paid. An installment takes the date, method and reference of the
+// payment that completed it. Refunds (see lib/payments.js) only come after a
+// cancellation and leave what was paid by then paid.
+function settleSchedule(schedule, payments) {
+    let running = 0;
+    const paidSoFar = payments
+        .filter(payment => payment.type !== 'refund')
+        .sort((a, b) => a.paidOn.localeCompare(b.paidOn) || a.createdAt.localeCompare(b.createdAt))
+        .map(payment => ({ payment, total: (running = roundMoney(running + payment.amount)) }));
+
+    let due = 0;
+    return schedule.map(installment => {
+        if (installment.status === 'cancelled') return installment;
+        due = roundMoney(due + installment.amount);
+        const completing = paidSoFar.find(entry => entry.total >= due);
+        if (!completing) {
+            return { ...installment, status: 'pending', paidAt: null, method: null, reference: null, recordedBy: null };
+        }
+        const { payment } = completing;
+        return {
+            ...installment,
+            status: 'paid',
+            paidAt: payment.paidOn,
+            method: payment.method,
+            reference: payment.reference,
+            recordedBy: payment.recordedBy
+        };
+    });
+}
+
+// Every overdue installment of the bookings, the longest overdue first
+function overdueInstallments(bookings, on = today()) {
+    return bookings
+        .flatMap(booking => (booking.paymentSchedule || [])
+            .filter(installment => isOverdue(installment, on))
+            .map(installment => ({
+                bookingId: booking.id,
+                bookingNumber: booking.bookingId,
+                customerName: booking.customerName,
+                customerEmail: booking.customerEmail,
+                eventDate: booking.eventDate,
+                ...installment,
+                daysOverdue: Math.round((Date.parse(`${on}T00:00:00Z`) - Date.parse(`${installment.dueDate}T00:00:00Z`)) / 86400000)
+            })))
+        .sort((a, b) => b.daysOverdue - a.daysOverdue);
+}
+
+module.exports = {
+    PAYMENT_TERMS,
+    buildSchedule,
+    reschedule,
+    isOverdue,
+    depositPaid,
+    depositProblem,
+    settleSchedule,
+    nextInstallment,
+    overdueInstallments
+};
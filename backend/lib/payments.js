@@ -0,0 +1,177 @@
+// Payments ledger. Every payment received for a booking is one entry in the
+// payments collection: the amount, the method (PAYMENT_METHODS), the reference
+// number from GCash, the bank or the card terminal, and the day it came in. A
+// booking can be paid in parts and by different methods. What goes back to the
+// customer when a booking is cancelled is an entry too, of type 'refund' (the
+// others are of type 'payment'), so what has been paid is net of refunds.
+// Entries point at their booking by its id (bookingId is the booking's numeric
+// id, not its BK-... number).
+// What has been paid, which installments are paid, the balance and a
+// receipt's payment status are always worked out from the entries rather than
+// stored, so they can't drift apart:
+//   pending  nothing paid yet
+//   partial  something paid, a balance left
+//   paid     nothing left to pay
+// A cancelled booking only owes its cancellation fee (see lib/cancellation.js);
+// what was paid over that is refunded.
+// Payments are entered by staff or come in from the online payment provider
+// (see lib/paymentGateway.js).
+
+const db = require('../repositories');
+const { withTax, roundMoney } = require('./pricing');
+const { settleSchedule, depositPaid } = require('./paymentSchedule');
+const { changeProblem, recordStatus } = require('./bookingStatus');
+const { nextReference } = require('../repositories/sequences');
+
+const PAYMENT_METHODS = {
+    cash: 'Cash',
+    gcash: 'GCash',
+    bank_transfer: 'Bank transfer',
+    card: 'Card'
+};
+
+function isRefund(entry) {
+    return entry.type === 'refund';
+}
+
+// What was paid less what was refunded
+function totalPaid(payments) {
+    return roundMoney(payments.reduce((sum, entry) => sum + (isRefund(entry) ? -entry.amount : entry.amount), 0));
+}
+
+// What the booking costs the customer, VAT included
+function amountOwed(booking) {
+    if (booking.bookingStatus === 'cancelled' && booking.cancellation) return booking.cancellation.feeAmount;
+    return withTax(booking.totalAmount).totalAmount;
+}
+
+// { amountPaid, balance, paymentStatus } for a total and the payments against it
+function paymentSummary(total, payments) {
+    const amountPaid = totalPaid(payments);
+    const balance = roundMoney(Math.max(total - amountPaid, 0));
+    return {
+        amountPaid,
+        balance,
+        paymentStatus: balance === 0 ? 'paid' : amountPaid > 0 ? 'partial' : 'pending'
+    };
+}
+
+// The methods used, e.g. "Cash, GCash", or null before anything is paid
+function describeMethods(payments) {
+    const methods = [...new Set(payments.filter(entry => !isRefund(entry)).map(payment => PAYMENT_METHODS[payment.method] || payment.method))];
+    return methods.length ? methods.join(', ') : null;
+}
+
+// The booking (or receipt) with the installments its payments cover marked
+// paid (see settleSchedule in lib/paymentSchedule.js). The stored schedule is
+// only the plan: the amounts, due dates and cancelled installments.
+function withSettledSchedule(record, payments) {
+    if (!record || !record.paymentSchedule) return record;
+    return { ...record, paymentSchedule: settleSchedule(record.paymentSchedule, payments) };
+}
+
+// The receipt with its payment status, method, balance and schedule from the
+// booking's payments. total is what is owed on it, amountOwed() of its booking
+// (the receipt's own total only if the booking is gone). Receipts from before the
+// ledger still hold the status the client sent when they were generated; that
+// is not trusted and gets replaced.
+function withPayments(receipt, payments, total = receipt.totalAmount) {
+    return {
+        ...withSettledSchedule(receipt, payments),
+        ...paymentSummary(total, payments),
+        paymentMethod: describeMethods(payments)
+    };
+}
+
+// Payments of each booking, keyed by the booking's id
+function groupByBooking(payments) {
+    const grouped = {};
+    payments.forEach(payment => {
+        (grouped[payment.bookingId] = grouped[payment.bookingId] || []).push(payment);
+    });
+    return grouped;
+}
+
+// Add a payment ({ amount, method, reference, paidOn, checkoutId }) to the
+// ledger, which pays off the booking's installments (see
+// lib/paymentSchedule.js). Once the deposit is covered a pending booking moves
+// on to deposit-paid. Resolves to { payment, booking, summary }, or { problem }
+// if the payment is more than the balance. Money already taken online is
+// recorded whatever the balance, with refuseOverpayment off.
+async function recordPayment(booking, entry, user, { refuseOverpayment = true } = {}) {
+    // Checked against the balance in the same transaction as the insert, so two
+    // payments entered at once can't both take it
+    const result = await db.payments.transaction(payments => {
+        const made = payments.list({ bookingId: booking.id });
+        const { balance } = paymentSummary(amountOwed(booking), made);
+        if (refuseOverpayment && roundMoney(entry.amount) > balance) {
+            return { problem: balance === 0 ? 'This booking is already paid in full' : `That is more than the balance of ₱${balance}` };
+        }
+        const payment = payments.insert({
+            paymentId: nextReference(payments, 'paymentId', 'PAY'),
+            type: 'payment',
+            bookingId: booking.id,
+            customerEmail: booking.customerEmail,
+            amount: roundMoney(entry.amount),
+            method: entry.method,
+            reference: entry.reference || null,
+            paidOn: entry.paidOn || new Date().toISOString().slice(0, 10),
+            recordedBy: user.id,
+            checkoutId: entry.checkoutId || null,
+            createdAt: new Date().toISOString()
+        });
+        return { payment, payments: [...made, payment] };
+    });
+    if (result.problem) return result;
+
+    // Nothing about the installments is stored, so only the status is left to
+    // move on. If this is cut off, staff can still move it: the deposit check
+    // goes by the ledger too.
+    const updated = await db.bookings.update(booking.id, record => {
+        if (!record.paymentSchedule) return;
+        if (depositPaid(withSettledSchedule(record, result.payments)) && !changeProblem(record.bookingStatus, 'deposit-paid')) {
+            recordStatus(record, 'deposit-paid', user, `Deposit paid (${PAYMENT_METHODS[entry.method] || entry.method})`);
+        }
+    });
+    return {
+        payment: result.payment,
+        booking: withSettledSchedule(updated, result.payments),
+        summary: paymentSummary(amountOwed(updated), result.payments)
+    };
+}
+
+// Put the refund of a cancelled booking (its cancellation's refundAmount) in
+// the ledger. A booking gets one refund entry however often this runs, so a
+// cancellation cut off before it was recorded can be finished later.
+// Resolves to the entry, or null when nothing is refunded.
+async function recordRefund(booking) {
+    const { refundAmount, cancelledBy } = booking.cancellation;
+    if (!(refundAmount > 0)) return null;
+    return db.payments.transaction(payments => payments.findOne({ bookingId: booking.id, type: 'refund' }) || payments.insert({
+        paymentId: nextReference(payments, 'paymentId', 'PAY'),
+        type: 'refund',
+        bookingId: booking.id,
+        customerEmail: booking.customerEmail,
+        amount: refundAmount,
+        method: null,
+        reference: null,
+        paidOn: new Date().toISOString().slice(0, 10),
+        recordedBy: cancelledBy,
+        checkoutId: null,
+        createdAt: new Date().toISOString()
+    }));
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    isRefund,
+    totalPaid,
+    amountOwed,
+    paymentSummary,
+    describeMethods,
+    withSettledSchedule,
+    withPayments,
+    groupByBooking,
+    recordPayment,
+    recordRefund
+};
@@ -0,0 +1,149 @@
+// Prices of bookings. The packages are kept in the packages collection and
+// managed by admins (routes/packages.js); the VAT rate is defined here only.
+// The booking page asks GET /api/pricing/quote for its totals, and bookings
+// and receipts are priced with the same functions.
+// A booking is priced with one package for its occasion:
+//   food cost   the menu items the customer picked (price per serving x
+//               quantity), or the package's price per head x the guests when
+//               they take the package's own dishes
+//   subtotal    food cost x the package multiplier + the styling fee
+//   total       subtotal + VAT (added on the receipt)
+// Amounts are in pesos, rounded to centavos.
+
+const TAX_RATE = 0.12; // 12% VAT
+
+// The occasions a booking can be for, and how the site names them
+const OCCASION_NAMES = {
+    wedding: 'Wedding',
+    debut: 'Debut',
+    corporate: 'Corporate Event',
+    anniversary: 'Anniversary',
+    christening: 'Christening',
+    birthday: 'Birthday',
+    graduation: 'Graduation',
+    reunion: 'Family Reunion',
+    other: 'Other Event'
+};
+
+const OCCASIONS = Object.keys(OCCASION_NAMES);
+
+// A request that can't be priced. field names the request field that is
+// wrong, so routes can answer with sendFieldErrors().
+class PricingError extends Error {
+    constructor(field, message) {
+        super(`${field} ${message}`);
+        this.name = 'PricingError';
+        this.field = field;
+        this.reason = message;
+    }
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// Whether a package can be booked on a day (YYYY-MM-DD, today by default).
+// activeFrom and activeUntil are both included; null leaves that end open.
+function isOffered(pkg, day = today()) {
+    if (pkg.activeFrom && day < pkg.activeFrom) return false;
+    if (pkg.activeUntil && day > pkg.activeUntil) return false;
+    return true;
+}
+
+// The packages on offer today, optionally only those for one occasion
+function offeredPackages(packages, occasion) {
+    return packages.filter(pkg => isOffered(pkg) && (!occasion || pkg.occasions.includes(occasion)));
+}
+
+// The package's dishes with their menu names and the servings for numGuests
+function packageDishes(pkg, menu, numGuests) {
+    return pkg.dishes.map(dish => {
+        const menuItem = menu.find(m => m.id === dish.itemId);
+        return {
+            itemId: dish.itemId,
+            itemName: menuItem ? menuItem.itemName : 'Unknown item',
+            quantity: dish.quantity * numGuests
+        };
+    });
+}
+
+// Price a booking. items are { itemId, quantity }; catalog has the packages
+// and menu items to look things up in. packageId picks one of the packages on
+// offer for the occasion; without it the first one is used. Throws a
+// PricingError for an occasion without packages, a package that isn't on
+// offer for it, too few guests, or an item that isn't on the menu.
+function quote({ occasion, packageId, numGuests, items = [] }, { packages, menu }) {
+    if (!OCCASIONS.includes(occasion)) {
+        throw new PricingError('eventType', `must be one of: ${OCCASIONS.join(', ')}`);
+    }
+    const offered = offeredPackages(packages, occasion);
+    const pkg = packageId ? offered.find(p => p.id === packageId) : offered[0];
+    if (!pkg) {
+        throw packageId
+            ? new PricingError('packageId', `is not a package on offer for ${OCCASION_NAMES[occasion]}`)
+            : new PricingError('eventType', 'has no package on offer right now');
+    }
+    if (numGuests < pkg.minGuests) {
+        throw new PricingError('numGuests', `must be at least ${pkg.minGuests} for the ${pkg.name}`);
+    }
+
+    const lines = items.map((item, index) => {
+        // Items that were taken off the menu can't be booked either
+        const menuItem = menu.find(m => m.id === item.itemId && m.isAvailable !== false);
+        if (!menuItem) {
+            throw new PricingError(`menuItems[${index}].itemId`, `is not an available menu item (id ${item.itemId})`);
+        }
+        return {
+            itemId: menuItem.id,
+            itemName: menuItem.itemName,
+            quantity: item.quantity,
+            unitPrice: menuItem.pricePerServing,
+            totalPrice: roundMoney(menuItem.pricePerServing * item.quantity)
+        };
+    });
+
+    const foodCost = lines.length > 0
+        ? roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0))
+        : roundMoney(pkg.pricePerHead * numGuests);
+    const subtotal = roundMoney(foodCost * pkg.multiplier + pkg.stylingFee);
+    const tax = withTax(subtotal);
+
+    return {
+        occasion,
+        packageId: pkg.id,
+        packageName: pkg.name,
+        numGuests,
+        items: lines,
+        // What the package serves when no items were picked
+        dishes: lines.length > 0 ? [] : packageDishes(pkg, menu, numGuests),
+        foodCost,
+        multiplier: pkg.multiplier,
+        stylingFee: pkg.stylingFee,
+        subtotal,
+        ...tax,
+        // VAT included, like the total the customer pays
+        perGuest: numGuests > 0 ? roundMoney(tax.totalAmount / numGuests) : null
+    };
+}
+
+// VAT on top of a subtotal
+function withTax(subtotal) {
+    const taxAmount = roundMoney(subtotal * TAX_RATE);
+    return { taxRate: TAX_RATE, taxAmount, totalAmount: roundMoney(subtotal + taxAmount) };
+}
+
+module.exports = {
+    TAX_RATE,
+    OCCASION_NAMES,
+    OCCASIONS,
+    PricingError,
+    isOffered,
+    offeredPackages,
+    quote,
+    withTax,
+    roundMoney
+};
@@ -0,0 +1,21 @@
+// Receipt numbers look like R000012. They come from the receiptNumber counter
+// (see repositories/sequences.js), which is saved together with the receipt, so
+// numbers run without gaps and are never used twice.
+
+const RECEIPT_NUMBER_COUNTER = 'receiptNumber';
+
+function formatReceiptNumber(number) {
+    return `R${String(number).padStart(6, '0')}`;
+}
+
+// 0 for anything that isn't a receipt number
+function parseReceiptNumber(receiptNumber) {
+    const match = /^R(\d+)$/.exec(receiptNumber || '');
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+function highestReceiptNumber(receipts) {
+    return receipts.reduce((max, r) => Math.max(max, parseReceiptNumber(r.receiptNumber)), 0);
+}
+
+module.exports = { RECEIPT_NUMBER_COUNTER, formatReceiptNumber, parseReceiptNumber, highestReceiptNumber };
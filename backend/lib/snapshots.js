@@ -0,0 +1,306 @@
+// Snapshots (backups) of the data directory.
+// A snapshot is a folder in SNAPSHOT_DIR (backend/snapshots by default) with a
+// copy of every data file and a manifest.json listing each file's size and
+// SHA-256 checksum. A snapshot is only restored after every file has been
+// checked against the manifest, so a damaged snapshot can't replace good data.
+//  - Files are copied while holding the storage locks (sequences.json first,
+//    like the repositories), so a snapshot never catches a write half done.
+//    Those locks are the server's own, so the command line (scripts/snapshots.js)
+//    only takes or restores snapshots while the server is stopped.
+//  - The SQLite database is copied with VACUUM INTO, which is safe while the
+//    server has it open.
+//  - Sessions, emailed links, login attempts and the mail outbox are not
+//    business data and aren't copied. A restore signs everyone out and voids
+//    emailed links instead, since they may belong to users the snapshot
+//    doesn't have.
+// Scheduled snapshots are taken every SNAPSHOT_INTERVAL_MINUTES (0 turns them
+// off) and pruned: the last one of each hour is kept for SNAPSHOT_KEEP_HOURLY
+// hours and the last one of each day for SNAPSHOT_KEEP_DAILY days. Snapshots
+// taken by hand (or before a restore) are kept for SNAPSHOT_KEEP_DAILY days.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, SERVER_PID_FILE, withLocks } = require('./storage');
+const { SEQUENCES_FILE } = require('../repositories/jsonStore');
+const { copyDatabase } = require('../repositories/sqliteStore');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots');
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES ?? '60');
+const SNAPSHOT_KEEP_HOURLY = parseInt(process.env.SNAPSHOT_KEEP_HOURLY) || 24;
+const SNAPSHOT_KEEP_DAILY = parseInt(process.env.SNAPSHOT_KEEP_DAILY) || 30;
+
+const MANIFEST_FILE = 'manifest.json';
+const NOT_COPIED = ['sessions.json', 'tokens.json', 'login-attempts.json', 'outbox.json', SERVER_PID_FILE];
+const CLEARED_ON_RESTORE = ['sessions.json', 'tokens.json'];
+// Ids look like 20261019-142501-123 (UTC), so they sort by age
+const SNAPSHOT_ID = /^\d{8}-\d{6}-\d{3}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class SnapshotError extends Error {
+    constructor(message, snapshotId) {
+        super(message);
+        this.name = 'SnapshotError';
+        this.snapshotId = snapshotId;
+    }
+}
+
+function isDatabase(filename) {
+    return filename.endsWith('.sqlite');
+}
+
+// The files in data/ that belong in a snapshot
+function dataFiles() {
+    return fs.readdirSync(DATA_DIR).filter(name =>
+        !NOT_COPIED.includes(name) &&
+        !name.endsWith('.tmp') &&
+        !name.endsWith('-wal') &&
+        !name.endsWith('-shm') &&
+        fs.statSync(path.join(DATA_DIR, name)).isFile()
+    ).sort();
+}
+
+// sequences.json first, see withLocks() in storage.js
+function lockOrder(filenames) {
+    return [SEQUENCES_FILE, ...filenames.filter(f => f !== SEQUENCES_FILE)];
+}
+
+function checksum(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function newSnapshotId(now) {
+    return now.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+}
+
+function snapshotPath(id) {
+    if (!SNAPSHOT_ID.test(id || '')) {
+        throw new SnapshotError(`Invalid snapshot id: ${id}`, id);
+    }
+    return path.join(SNAPSHOT_DIR, id);
+}
+
+function readManifest(id) {
+    const file = path.join(snapshotPath(id), MANIFEST_FILE);
+    if (!fs.existsSync(file)) {
+        throw new SnapshotError(`Snapshot ${id} does not exist`, id);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new SnapshotError(`The manifest of snapshot ${id} can't be read: ${error.message}`, id);
+    }
+}
+
+// What the API and the CLI show about a snapshot
+function summarize(manifest) {
+    return {
+        id: manifest.id,
+        createdAt: manifest.createdAt,
+        reason: manifest.reason,
+        files: manifest.files.length,
+        size: manifest.files.reduce((sum, f) => sum + f.size, 0)
+    };
+}
+
+// Snapshots newest first. Folders without a readable manifest (e.g. a copy
+// that was interrupted) are left out.
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+    return fs.readdirSync(SNAPSHOT_DIR)
+        .filter(name => SNAPSHOT_ID.test(name))
+        .sort()
+        .reverse()
+        .map(id => {
+            try {
+                return summarize(readManifest(id));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Copy the data files into a new snapshot. reason says why it was taken
+// (scheduled, manual, before-restore). Resolves to the snapshot's summary.
+async function createSnapshot(reason) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+    const files = dataFiles();
+    return withLocks(lockOrder(files), async () => {
+        const now = new Date();
+        let id = newSnapshotId(now);
+        // Two snapshots in the same millisecond: take the next free id
+        while (fs.existsSync(snapshotPath(id))) {
+            now.setTime(now.getTime() + 1);
+            id = newSnapshotId(now);
+        }
+
+        // Copied into a temp folder first so a half-made snapshot is never listed
+        const target = snapshotPath(id);
+        const tempDir = `${target}.partial`;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        fs.mkdirSync(tempDir);
+
+        try {
+            const entries = files.map(name => {
+                const source = path.join(DATA_DIR, name);
+                const copy = path.join(tempDir, name);
+                if (isDatabase(name)) {
+                    copyDatabase(source, copy);
+                } else {
+                    fs.copyFileSync(source, copy);
+                }
+                return { name, size: fs.statSync(copy).size, sha256: checksum(copy) };
+            });
+
+            const manifest = { id, createdAt: now.toISOString(), reason, files: entries };
+            fs.writeFileSync(path.join(tempDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            fs.renameSync(tempDir, target);
+            return summarize(manifest);
+        } catch (error) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            throw error;
+        }
+    });
+}
+
+// Check every file of a snapshot against its manifest. Returns the manifest,
+// or throws a SnapshotError naming the first file that is wrong.
+function verifySnapshot(id) {
+    const manifest = readManifest(id);
+    const dir = snapshotPath(id);
+
+    if (!Array.isArray(manifest.files)) {
+        throw new SnapshotError(`The manifest of snapshot ${id} has no file list`, id);
+    }
+    manifest.files.forEach(entry => {
+        const file = path.join(dir, path.basename(entry.name));
+        if (!fs.existsSync(file)) {
+            throw new SnapshotError(`Snapshot ${id} is damaged: ${entry.name} is missing`, id);
+        }
+        if (fs.statSync(file).size !== entry.size || checksum(file) !== entry.sha256) {
+            throw new SnapshotError(`Snapshot ${id} is damaged: ${entry.name} does not match its checksum`, id);
+        }
+    });
+    return manifest;
+}
+
+// Copy a file into data/ with a rename at the end, so readers see the old file
+// or the new one
+function replaceFile(source, name) {
+    const target = path.join(DATA_DIR, name);
+    const tempPath = `${target}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        fs.copyFileSync(source, tempPath);
+        fs.renameSync(tempPath, target);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+    if (isDatabase(name)) {
+        // The write-ahead log of the old database must not be applied to the new one
+        fs.rmSync(`${target}-wal`, { force: true });
+        fs.rmSync(`${target}-shm`, { force: true });
+    }
+}
+
+// Put the data back the way it was in a snapshot. The snapshot is checked
+// first, and the current data is saved in a "before-restore" snapshot so the
+// restore can be undone. Data files that the snapshot doesn't have are
+// removed. Resolves to { restored, backup } (summaries of both snapshots).
+// The SQLite database must not be open while it is replaced, so with that
+// driver only restore from the command line with the server stopped.
+async function restoreSnapshot(id) {
+    const manifest = verifySnapshot(id);
+    const backup = await createSnapshot('before-restore');
+
+    const snapshotFiles = manifest.files.map(f => path.basename(f.name));
+    const current = dataFiles();
+    const dir = snapshotPath(id);
+
+    const locked = lockOrder([...new Set([...current, ...snapshotFiles, ...CLEARED_ON_RESTORE])]);
+    await withLocks(locked, async () => {
+        snapshotFiles.forEach(name => replaceFile(path.join(dir, name), name));
+        current.filter(name => !snapshotFiles.includes(name)).forEach(name => {
+            fs.rmSync(path.join(DATA_DIR, name), { force: true });
+        });
+        CLEARED_ON_RESTORE.forEach(name => fs.writeFileSync(path.join(DATA_DIR, name), '[]'));
+    });
+
+    return { restored: summarize(manifest), backup };
+}
+
+// Which snapshots the retention rules keep (see the top of this file)
+function snapshotsToKeep(snapshots, now = new Date()) {
+    const keep = new Set();
+    const seenHours = new Set();
+    const seenDays = new Set();
+
+    // Newest first, so the first one seen in an hour or day is the last taken in it
+    snapshots.forEach((snapshot, index) => {
+        const age = now - new Date(snapshot.createdAt);
+        const hour = snapshot.createdAt.slice(0, 13);
+        const day = snapshot.createdAt.slice(0, 10);
+
+        if (index === 0) keep.add(snapshot.id);
+        if (snapshot.reason !== 'scheduled' && age < SNAPSHOT_KEEP_DAILY * DAY_MS) keep.add(snapshot.id);
+        if (snapshot.reason !== 'scheduled') return;
+
+        if (age < SNAPSHOT_KEEP_HOURLY * HOUR_MS && !seenHours.has(hour)) keep.add(snapshot.id);
+        if (age < SNAPSHOT_KEEP_DAILY * DAY_MS && !seenDays.has(day)) keep.add(snapshot.id);
+        seenHours.add(hour);
+        seenDays.add(day);
+    });
+    return keep;
+}
+
+// Delete the snapshots the retention rules don't keep. Returns their ids.
+function pruneSnapshots(now = new Date()) {
+    const snapshots = listSnapshots();
+    const keep = snapshotsToKeep(snapshots, now);
+    const removed = snapshots.filter(s => !keep.has(s.id)).map(s => s.id);
+    removed.forEach(id => fs.rmSync(snapshotPath(id), { recursive: true, force: true }));
+    return removed;
+}
+
+async function takeScheduledSnapshot() {
+    try {
+        const snapshot = await createSnapshot('scheduled');
+        const removed = pruneSnapshots();
+        console.log(`💾 Snapshot ${snapshot.id} saved${removed.length ? `, ${removed.length} old snapshot(s) removed` : ''}`);
+    } catch (error) {
+        console.error('❌ Scheduled snapshot failed:', error.message);
+    }
+}
+
+// Run at startup. Takes a snapshot right away if the last one is older than
+// the interval, then one every interval. Returns the timer, or null if
+// scheduled snapshots are off.
+function startSnapshotSchedule() {
+    if (!(SNAPSHOT_INTERVAL_MINUTES > 0)) return null;
+
+    const intervalMs = SNAPSHOT_INTERVAL_MINUTES * 60 * 1000;
+    const latest = listSnapshots()[0];
+    if (!latest || Date.now() - new Date(latest.createdAt) >= intervalMs) {
+        takeScheduledSnapshot();
+    }
+
+    const timer = setInterval(takeScheduledSnapshot, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    SNAPSHOT_ID,
+    SnapshotError,
+    listSnapshots,
+    createSnapshot,
+    verifySnapshot,
+    restoreSnapshot,
+    pruneSnapshots,
+    startSnapshotSchedule
+};
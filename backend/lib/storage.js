@@ -0,0 +1,173 @@
+// Simple JSON file storage shared by the server and its middleware
+// Each file in data/ is a collection (usually an array of records).
+//  - readData() throws a StorageError when a file exists but can't be read or
+//    parsed. Returning [] instead would let the next write wipe the file.
+//  - Files are written to a temp file first and then renamed over the old one,
+//    so a crash mid-write leaves the old file or the new one, never half of each.
+//  - updateData() does read-change-write for one collection at a time, so two
+//    requests changing the same file can't overwrite each other's changes.
+//    Use it for every change to stored data.
+//  - The locks only work inside one process. The running server leaves its
+//    process id in server.pid so command-line tools can tell it is up.
+
+const fs = require('fs');
+const path = require('path');
+
+// Data storage directory
+const DATA_DIR = path.join(__dirname, '..', 'data');
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+}
+
+class StorageError extends Error {
+    constructor(message, filename, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.filename = filename;
+        this.cause = cause;
+    }
+}
+
+// Tail of the queue of pending updates for each collection
+const locks = new Map();
+
+function withLock(filename, task) {
+    const previous = locks.get(filename) || Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.catch(() => {});
+    locks.set(filename, tail);
+    tail.then(() => {
+        if (locks.get(filename) === tail) locks.delete(filename);
+    });
+    return result;
+}
+
+// Hold the locks of several files at once, taken in the order given, and run
+// task() while holding them (e.g. to copy files that have to match). Take
+// sequences.json first like the repositories do, or two callers can wait on
+// each other forever.
+function withLocks(filenames, task) {
+    return filenames.reduceRight((inner, filename) => () => withLock(filename, inner), task)();
+}
+
+// Returns [] for a collection that doesn't exist yet
+function readData(filename) {
+    const filePath = path.join(DATA_DIR, filename);
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new StorageError(`Could not read ${filename}`, filename, error);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new StorageError(`${filename} is not valid JSON. Fix or restore the file; it will not be overwritten.`, filename, error);
+    }
+}
+
+function writeFileAtomic(filename, data) {
+    const filePath = path.join(DATA_DIR, filename);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw new StorageError(`Could not write ${filename}`, filename, error);
+    }
+}
+
+// Read a collection, let change() modify it in place, and save it if anything
+// changed. Updates to the same collection run one after another. Resolves to
+// whatever change() returns; rejects with a StorageError if the file can't be
+// read or written (nothing is saved when change() throws).
+function updateData(filename, change) {
+    return withLock(filename, async () => {
+        const data = readData(filename);
+        const before = JSON.stringify(data);
+        const result = await change(data);
+        if (JSON.stringify(data) !== before) {
+            writeFileAtomic(filename, data);
+        }
+        return result;
+    });
+}
+
+// Replace a whole collection (e.g. sample data at startup)
+function writeData(filename, data) {
+    return withLock(filename, async () => writeFileAtomic(filename, data));
+}
+
+// Remove the matching records from an array in place and return them.
+// Handy inside updateData(), which needs the same array to be changed.
+function removeWhere(records, predicate) {
+    const removed = [];
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (predicate(records[i])) {
+            removed.unshift(...records.splice(i, 1));
+        }
+    }
+    return removed;
+}
+
+// Run at startup: refuse to start on a broken collection, and clean up temp
+// files left behind by a crash during a write.
+function checkDataFiles() {
+    const files = fs.readdirSync(DATA_DIR);
+    files.filter(f => f.endsWith('.tmp')).forEach(f => fs.rmSync(path.join(DATA_DIR, f), { force: true }));
+    files.filter(f => f.endsWith('.json')).forEach(readData);
+}
+
+const SERVER_PID_FILE = 'server.pid';
+
+// Run at startup: note that this process has the data open until it exits
+function recordServerProcess() {
+    const pidPath = path.join(DATA_DIR, SERVER_PID_FILE);
+    fs.writeFileSync(pidPath, String(process.pid));
+    process.on('exit', () => {
+        if (runningServerPid() === process.pid) fs.rmSync(pidPath, { force: true });
+    });
+}
+
+// The process id of the server using the data, or null if none is running.
+// A pid file left by a server that crashed is ignored.
+function runningServerPid() {
+    let pid;
+    try {
+        pid = parseInt(fs.readFileSync(path.join(DATA_DIR, SERVER_PID_FILE), 'utf8'), 10);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    if (!pid) return null;
+    try {
+        process.kill(pid, 0);
+        return pid;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'EPERM' ? pid : null;
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    SERVER_PID_FILE,
+    StorageError,
+    withLocks,
+    readData,
+    writeData,
+    updateData,
+    removeWhere,
+    checkDataFiles,
+    recordServerProcess,
+    runningServerPid
+};
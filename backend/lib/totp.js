@@ -0,0 +1,79 @@
+// Time-based one-time passwords (RFC 6238), as used by Google Authenticator,
+// Authy and similar apps: HMAC-SHA1, 6 digits, a new code every 30 seconds.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT = 1;    // also accept the code from one step before/after
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    String(text).toUpperCase().replace(/[\s=]/g, '').split('').forEach(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    });
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the time step the code belongs to, or null if it doesn't match.
+// Steps up to lastUsedStep are refused so a code can't be used twice.
+function verifyCode(secret, code, lastUsedStep = null) {
+    if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+    const now = currentStep();
+    for (let step = now - ALLOWED_DRIFT; step <= now + ALLOWED_DRIFT; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// The otpauth:// link authenticator apps read from the QR code
+function otpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, generateCode, verifyCode, otpauthUrl };
@@ -0,0 +1,68 @@
+// Two-factor authentication settings stored on the user record:
+//   user.twoFactor = { enabled, secret, backupCodes, lastUsedStep, enabledAt }
+// backupCodes holds SHA-256 hashes; the codes themselves are only shown once.
+// Set REQUIRE_ADMIN_2FA=true to make every admin account use it.
+
+const crypto = require('crypto');
+const totp = require('./totp');
+
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = "d'sis Catering";
+
+function isEnabled(user) {
+    return !!(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+function isRequired(user) {
+    return REQUIRE_ADMIN_2FA && !!user && user.userType === 'admin';
+}
+
+// Backup codes are typed by hand, so ignore case, spaces and dashes
+function hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Returns { codes, hashes }: show codes to the user, store hashes
+function createBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+// Start enrolment: a new secret that is not active until confirmed with a code
+function startSetup(user) {
+    const secret = totp.generateSecret();
+    return {
+        twoFactor: { enabled: false, secret, backupCodes: [], lastUsedStep: null, enabledAt: null },
+        otpauthUrl: totp.otpauthUrl(secret, user.email, ISSUER)
+    };
+}
+
+// Check an authenticator or backup code against user.twoFactor.
+// Returns the twoFactor settings to save (used code recorded/removed), or null
+// if the code is wrong.
+function checkCode(twoFactor, code, { allowBackupCode = true } = {}) {
+    if (!twoFactor || !twoFactor.secret || !code) return null;
+
+    const trimmed = String(code).replace(/\s/g, '');
+    const step = totp.verifyCode(twoFactor.secret, trimmed, twoFactor.lastUsedStep);
+    if (step !== null) {
+        return { ...twoFactor, lastUsedStep: step };
+    }
+
+    if (allowBackupCode) {
+        const hash = hashBackupCode(trimmed);
+        const backupCodes = twoFactor.backupCodes || [];
+        if (backupCodes.includes(hash)) {
+            return { ...twoFactor, backupCodes: backupCodes.filter(h => h !== hash) };
+        }
+    }
+    return null;
+}
+
+module.exports = { isEnabled, isRequired, createBackupCodes, startSetup, checkCode };
@@ -0,0 +1,37 @@
+// Turn a User-Agent header into a short label like "Chrome on Windows" for the
+// session list. Only the common browsers and systems are recognised.
+
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime\//]
+];
+
+const SYSTEMS = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iPhone', /iPhone/],
+    ['iPad', /iPad/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && system) return `${browser[0]} on ${system[0]}`;
+    if (browser) return browser[0];
+    if (system) return system[0];
+    return 'Unknown device';
+}
+
+module.exports = { describeUserAgent };
@@ -0,0 +1,61 @@
+// User helpers shared by the routes.
+// publicUser() is what the API sends back about a user. The password hash and
+// two-factor secrets never leave the server; the client only sees whether 2FA
+// is on, whether it is required, and whether the account still has to set it up.
+
+const db = require('../repositories');
+const twoFactor = require('./twoFactor');
+const { hashPassword } = require('./passwords');
+const { issueToken } = require('./oneTimeTokens');
+const { APP_URL, sendMail } = require('./mailer');
+
+const VERIFY_TOKEN_TTL_MINUTES = 48 * 60;
+
+function publicUser(user) {
+    const { password: _, twoFactor: __, ...rest } = user;
+    return {
+        ...rest,
+        twoFactorEnabled: twoFactor.isEnabled(user),
+        twoFactorRequired: twoFactor.isRequired(user),
+        twoFactorSetupRequired: twoFactor.isRequired(user) && !twoFactor.isEnabled(user)
+    };
+}
+
+// Accounts from before email verification have no accountStatus and count as verified
+function isVerified(user) {
+    return user.accountStatus !== 'unverified';
+}
+
+// Save a new password hash for a user. Resolves to false if there is no such user.
+async function setPassword(userId, password) {
+    const hash = await hashPassword(password);
+    return !!(await db.users.update(userId, user => { user.password = hash; }));
+}
+
+// Email a fresh verification link. Resolves to false if the link could not be sent.
+async function sendVerificationEmail(user) {
+    try {
+        const token = await issueToken('email-verification', user.id, VERIFY_TOKEN_TTL_MINUTES);
+        await sendMail({
+            to: user.email,
+            subject: "Verify your d'sis Catering account",
+            text: `Hi ${user.firstName || ''},\n\n` +
+                `Please confirm your email address by opening this link:\n${APP_URL}/login.html?verify=${token}\n\n` +
+                `You can book events once your email is verified. The link expires in 48 hours.`
+        });
+        return true;
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+        return false;
+    }
+}
+
+// Mark a user as verified. Resolves to the updated user, or null if there is no such user.
+function markVerified(userId) {
+    return db.users.update(userId, user => {
+        user.accountStatus = 'active';
+        user.verifiedAt = new Date().toISOString();
+    });
+}
+
+module.exports = { publicUser, isVerified, setPassword, sendVerificationEmail, markVerified };
@@ -0,0 +1,8 @@
+// Express 4 does not catch errors thrown by async route handlers. Wrap them so
+// a rejected promise (a StorageError, for example) reaches the error handler
+// at the end of server.js instead of leaving the request hanging.
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = { asyncHandler };
@@ -0,0 +1,248 @@
+// Session token middleware for the simple backend
+// A token looks like "<sessionId>.<signature>". The signature is an HMAC of the
+// session id, so tokens can't be made up without the secret, and the session
+// record in sessions.json lets us revoke a token on logout. Sessions also keep
+// the device (user agent), IP and last activity so users can review them.
+
+const crypto = require('crypto');
+const { readData, updateData, removeWhere } = require('../lib/storage');
+const { discardUserTokens } = require('../lib/oneTimeTokens');
+const db = require('../repositories');
+const { publicUser } = require('../lib/users');
+const { describeUserAgent } = require('../lib/userAgent');
+
+const SESSIONS_FILE = 'sessions.json';
+
+// What each role may do. Routes declare the permission they need with
+// requirePermission() instead of checking userType themselves.
+const ROLES = ['admin', 'staff', 'customer'];
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    staff: ['bookings:read', 'bookings:manage', 'messages:read', 'messages:respond', 'dashboard:read'],
+    customer: []
+};
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  SESSION_SECRET is not set, using a random one. Users will need to log in again after a restart.');
+}
+
+function sign(sessionId) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(sessionId).digest('hex');
+}
+
+function isActive(session, now = new Date()) {
+    return !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+// Create a session for the user and resolve to its signed token.
+// Pass the request so the session records which device and IP it came from.
+async function generateToken(user, req = null) {
+    const now = new Date();
+    const session = {
+        id: crypto.randomBytes(24).toString('hex'),
+        userId: user.id,
+        userAgent: req ? (req.get('user-agent') || '') : '',
+        ip: req ? req.ip : null,
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+    };
+
+    await updateData(SESSIONS_FILE, sessions => {
+        // Drop sessions that can no longer be used so the file doesn't grow forever
+        removeWhere(sessions, s => !isActive(s, now));
+        sessions.push(session);
+    });
+
+    return `${session.id}.${sign(session.id)}`;
+}
+
+// Look up the session and user behind a token. Resolves to null if the token is not valid.
+async function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [sessionId, signature] = token.split('.');
+    if (!sessionId || !signature) return null;
+
+    const expected = Buffer.from(sign(sessionId));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    const session = readData(SESSIONS_FILE).find(s => s.id === sessionId);
+    if (!session || !isActive(session)) return null;
+
+    const user = await db.users.get(session.userId);
+    if (!user) return null;
+
+    return { session, user: publicUser(user) };
+}
+
+// Resolves to false if there is no such session
+function revokeSession(sessionId) {
+    return updateData(SESSIONS_FILE, sessions => {
+        const session = sessions.find(s => s.id === sessionId);
+        if (!session) return false;
+
+        session.revokedAt = new Date().toISOString();
+        return true;
+    });
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's).
+// Resolves to the number of sessions revoked.
+function revokeUserSessions(userId, exceptSessionId = null) {
+    const now = new Date().toISOString();
+    return updateData(SESSIONS_FILE, sessions => {
+        let count = 0;
+        sessions.forEach(s => {
+            if (s.userId === userId && s.id !== exceptSessionId && !s.revokedAt) {
+                s.revokedAt = now;
+                count++;
+            }
+        });
+        return count;
+    });
+}
+
+// Sessions and emailed links store the user id. If a user's id was shared with
+// another account (see repositories/repairIds.js), we can't tell whose they
+// were, so they are dropped.
+async function forgetRenumberedUsers(renumbered) {
+    for (const { collection, oldId } of renumbered) {
+        if (collection === 'users' && oldId !== null) {
+            await revokeUserSessions(oldId);
+            await discardUserTokens(oldId);
+        }
+    }
+}
+
+// Active sessions of a user, newest activity first, in the shape shown to the user
+function listUserSessions(userId, currentSessionId = null) {
+    return readData(SESSIONS_FILE)
+        .filter(s => s.userId === userId && isActive(s))
+        .sort((a, b) => new Date(b.lastSeenAt || b.createdAt) - new Date(a.lastSeenAt || a.createdAt))
+        .map(s => ({
+            id: s.id,
+            device: describeUserAgent(s.userAgent),
+            userAgent: s.userAgent || '',
+            ip: s.ip || null,
+            createdAt: s.createdAt,
+            lastSeenAt: s.lastSeenAt || s.createdAt,
+            expiresAt: s.expiresAt,
+            current: s.id === currentSessionId
+        }));
+}
+
+// Record that the session was just used (at most once per LAST_SEEN_INTERVAL_MS).
+// The request doesn't wait for this.
+function touchSession(session, req) {
+    const now = new Date();
+    if (session.lastSeenAt && now - new Date(session.lastSeenAt) < LAST_SEEN_INTERVAL_MS && session.ip === req.ip) {
+        return;
+    }
+
+    updateData(SESSIONS_FILE, sessions => {
+        const stored = sessions.find(s => s.id === session.id);
+        if (!stored) return;
+
+        stored.lastSeenAt = now.toISOString();
+        stored.ip = req.ip;
+    }).catch(error => {
+        console.error(`Could not update last seen time of session ${session.id}:`, error);
+    });
+}
+
+function getBearerToken(req) {
+    const header = req.headers['authorization'] || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' ? token : null;
+}
+
+// Runs on every request: attaches req.user / req.session when a valid token is sent.
+// Invalid tokens are ignored here so public pages keep working; protected routes
+// use authenticateToken to reject them.
+function attachUser(req, res, next) {
+    verifyToken(getBearerToken(req)).then(result => {
+        if (result) {
+            req.user = result.user;
+            req.session = result.session;
+            touchSession(result.session, req);
+        }
+        next();
+    }, next);
+}
+
+function authenticateToken(req, res, next) {
+    if (req.user) return next();
+
+    verifyToken(getBearerToken(req)).then(result => {
+        if (!result) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = result.user;
+        req.session = result.session;
+        next();
+    }, next);
+}
+
+function hasPermission(user, permission) {
+    const permissions = ROLE_PERMISSIONS[user && user.userType] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Runs authenticateToken first, then checks the check(req.user) callback.
+// Accounts that must use two-factor authentication but haven't set it up yet
+// are stopped here until they do (the profile routes only need a login).
+function authorize(check) {
+    return (req, res, next) => {
+        authenticateToken(req, res, () => {
+            if (req.user.twoFactorSetupRequired) {
+                return res.status(403).json({
+                    error: 'Set up two-factor authentication on your profile to continue',
+                    code: 'TWO_FACTOR_SETUP_REQUIRED'
+                });
+            }
+            if (!check(req.user)) {
+                return res.status(403).json({ error: 'You do not have permission to do this' });
+            }
+            next();
+        });
+    };
+}
+
+function requirePermission(permission) {
+    return authorize(user => hasPermission(user, permission));
+}
+
+function requireRole(...roles) {
+    return authorize(user => roles.includes(user.userType));
+}
+
+const requireAdmin = requireRole('admin');
+const requireCustomerOrAdmin = requireRole('customer', 'admin');
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    generateToken,
+    verifyToken,
+    revokeSession,
+    revokeUserSessions,
+    forgetRenumberedUsers,
+    listUserSessions,
+    attachUser,
+    authenticateToken,
+    hasPermission,
+    requirePermission,
+    requireRole,
+    requireAdmin,
+    requireCustomerOrAdmin
+};
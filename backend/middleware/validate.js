@@ -0,0 +1,172 @@
+// Request validation. A route lists the fields it expects and validate()
+// answers 400 before the handler runs if any of them is wrong:
+//
+//   router.post('/', validate({
+//     params: { id: { type: 'integer', required: true } },
+//     body: { numGuests: { type: 'integer', required: true, min: 1 } }
+//   }), handler)
+//
+// Rules for a field:
+//   type       string, integer, number, boolean, email, date (YYYY-MM-DD),
+//              time (HH:MM, 24-hour), datetime (an ISO date and time), array
+//              or object
+//   required   must be present and not empty
+//   notEmpty   may be left out but not sent empty, for updates of fields that
+//              are required when creating
+//   nullable   null is allowed (and skips the other rules); otherwise null is
+//              refused, so a field can't be cleared by sending it as null
+//   minLength, maxLength, pattern   for strings
+//   min, max   for numbers
+//   oneOf      list of allowed values
+//   items, minItems, maxItems       for arrays, items is the rule for each element
+//   fields     for objects, the rules for their fields
+// Fields that aren't listed are left alone. Numbers sent as strings (form
+// values, URL parameters) are turned into numbers, and an empty one counts as
+// left out, like a field that wasn't sent (unless the rule is notEmpty). Fields left out stay out of the
+// object, so routes can tell them from ones that were sent.
+//
+// The 400 answer names every field that is wrong, so forms can mark them:
+//   { error: 'numGuests must be at least 1', fields: { numGuests: 'must be at least 1' } }
+// Nested fields are named like menuItems[0].itemId.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Rules that several routes share
+const PHONE_NUMBER = {
+    type: 'string',
+    maxLength: 30,
+    pattern: /^[0-9+()\- ]*$/,
+    patternMessage: 'may only contain digits, spaces and + - ( )'
+};
+// params of routes like /:id
+const ID_PARAMS = { id: { type: 'integer', required: true } };
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// A string only counts if all of it is a number, so '12abc' isn't read as 12
+function toNumber(value, integer) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+    if (integer && !Number.isInteger(value)) return undefined;
+    return value;
+}
+
+function isDate(value) {
+    if (!DATE.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// Checks one value against its rule. Adds messages to errors under the field's
+// name and returns the value to keep (numbers converted).
+function checkValue(rule, value, name, errors) {
+    if (value === null && rule.nullable) return value;
+    if ((rule.type === 'integer' || rule.type === 'number') && !rule.notEmpty && typeof value === 'string' && value.trim() === '') {
+        value = undefined;
+    }
+    if (isEmpty(value)) {
+        if (rule.required) errors[name] = 'is required';
+        else if (value === null || (rule.notEmpty && value !== undefined)) errors[name] = 'can\'t be empty';
+        return value;
+    }
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            const number = toNumber(value, rule.type === 'integer');
+            if (number === undefined) {
+                errors[name] = rule.type === 'integer' ? 'must be a whole number' : 'must be a number';
+                return value;
+            }
+            if (rule.min !== undefined && number < rule.min) errors[name] = `must be at least ${rule.min}`;
+            else if (rule.max !== undefined && number > rule.max) errors[name] = `must be at most ${rule.max}`;
+            value = number;
+            break;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') errors[name] = 'must be true or false';
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors[name] = 'must be a list';
+                return value;
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) errors[name] = `must have at least ${rule.minItems} item(s)`;
+            else if (rule.maxItems !== undefined && value.length > rule.maxItems) errors[name] = `must have at most ${rule.maxItems} item(s)`;
+            if (rule.items) {
+                value = value.map((item, index) => checkValue(rule.items, item, `${name}[${index}]`, errors));
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors[name] = 'must be an object';
+                return value;
+            }
+            if (rule.fields) checkFields(rule.fields, value, `${name}.`, errors);
+            break;
+        default:
+            // string, email, date, time and datetime are all strings
+            if (typeof value !== 'string') {
+                errors[name] = 'must be text';
+                return value;
+            }
+            if (rule.type === 'email' && !EMAIL.test(value)) errors[name] = 'must be a valid email address';
+            else if (rule.type === 'date' && !isDate(value)) errors[name] = 'must be a date (YYYY-MM-DD)';
+            else if (rule.type === 'time' && !TIME.test(value)) errors[name] = 'must be a time (HH:MM)';
+            else if (rule.type === 'datetime' && isNaN(Date.parse(value))) errors[name] = 'must be a date and time';
+            else if (rule.minLength !== undefined && value.length < rule.minLength) errors[name] = `must be at least ${rule.minLength} characters long`;
+            else if (rule.maxLength !== undefined && value.length > rule.maxLength) errors[name] = `must be at most ${rule.maxLength} characters long`;
+            else if (rule.pattern && !rule.pattern.test(value)) errors[name] = rule.patternMessage || 'has an invalid format';
+    }
+
+    if (!errors[name] && rule.oneOf && !rule.oneOf.includes(value)) {
+        errors[name] = `must be one of: ${rule.oneOf.join(', ')}`;
+    }
+    return value;
+}
+
+// Checks the listed fields of an object, saving converted values back into it
+function checkFields(fields, object, prefix, errors) {
+    Object.entries(fields).forEach(([field, rule]) => {
+        const value = checkValue(rule, object[field], `${prefix}${field}`, errors);
+        if (value !== undefined) object[field] = value;
+        else delete object[field];
+    });
+}
+
+// 400 answer with the wrong fields, also used by routes for checks a schema
+// can't do (e.g. a menu item that doesn't exist)
+function sendFieldErrors(res, fields) {
+    return res.status(400).json({
+        error: Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; '),
+        fields
+    });
+}
+
+// schema has the rules for body, params and/or query
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = {};
+        ['params', 'query', 'body'].forEach(part => {
+            if (!schema[part]) return;
+            if (!req[part] || typeof req[part] !== 'object' || Array.isArray(req[part])) {
+                // e.g. a JSON array or a missing Content-Type header
+                req[part] = {};
+            }
+            checkFields(schema[part], req[part], '', errors);
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return sendFieldErrors(res, errors);
+        }
+        next();
+    };
+}
+
+module.exports = { PHONE_NUMBER, ID_PARAMS, validate, sendFieldErrors };
@@ -0,0 +1,100 @@
+// Repository layer: the routes load and save users, bookings, blocked dates,
+// menu items, packages, offers, messages, receipts, credit notes, payments and
+// online checkouts through here instead of touching storage.
+// STORAGE_DRIVER picks where those collections live:
+//   json   - one file per collection in data/ (default)
+//   sqlite - one table per collection in SQLITE_FILE (data/dsis.sqlite by default)
+// Sessions, tokens and other server bookkeeping stay in JSON files either way.
+// Call openRepositories() once at startup before using the repositories; it
+// also brings the records up to the current schema (see migrate.js).
+
+const path = require('path');
+const { DATA_DIR, readData } = require('../lib/storage');
+const { createRepository } = require('./repository');
+const { createJsonStore } = require('./jsonStore');
+const { repairDuplicateIds } = require('./repairIds');
+const { runMigrations } = require('./migrate');
+
+const COLLECTIONS = ['users', 'bookings', 'blockedDates', 'menu', 'packages', 'offers', 'messages', 'receipts', 'creditNotes', 'payments', 'checkouts'];
+// Where the applied schema migrations are recorded, kept by the same driver
+const MIGRATIONS_LOG = 'migrations';
+// Fields the routes filter on, indexed in SQLite
+const SQLITE_INDEXES = {
+    users: ['email'],
+    bookings: ['eventDate', 'userId'],
+    receipts: ['userId'],
+    blockedDates: ['date'],
+    messages: ['userEmail'],
+    creditNotes: ['userId'],
+    payments: ['bookingId'],
+    checkouts: ['bookingId', 'providerReference']
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'dsis.sqlite');
+
+let stores = null;
+
+function openJsonStores() {
+    const collections = Object.fromEntries(COLLECTIONS.map(c => [c, createJsonStore(c)]));
+    return { ...collections, [MIGRATIONS_LOG]: createJsonStore(MIGRATIONS_LOG) };
+}
+
+// A new database is filled from the JSON files, so switching drivers keeps the
+// data. The migrations log isn't copied: the database keeps its own, and the
+// migrations run again on the copied records, which leaves them as they are.
+function openSqliteStores() {
+    const { openDatabase, createSqliteStore, importRecords } = require('./sqliteStore');
+    const db = openDatabase(SQLITE_FILE);
+
+    const collections = Object.fromEntries(COLLECTIONS.map(c => {
+        const store = createSqliteStore(db, c, SQLITE_INDEXES[c]);
+        const imported = importRecords(db, c, readData(`${c}.json`));
+        if (imported) {
+            console.log(`📥 Copied ${imported} record(s) from ${c}.json into ${path.basename(SQLITE_FILE)}`);
+        }
+        return [c, store];
+    }));
+    return { ...collections, [MIGRATIONS_LOG]: createSqliteStore(db, MIGRATIONS_LOG) };
+}
+
+// Repairs duplicate ids in the JSON files first (see repairIds.js), then runs
+// the pending migrations. Resolves to the records that were renumbered.
+// Rejects if the driver is unknown, the storage can't be opened or a migration fails.
+async function openRepositories() {
+    if (!['json', 'sqlite'].includes(STORAGE_DRIVER)) {
+        throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", use json or sqlite`);
+    }
+
+    const renumbered = await repairDuplicateIds(COLLECTIONS);
+    const opened = STORAGE_DRIVER === 'sqlite' ? openSqliteStores() : openJsonStores();
+    await runMigrations(opened);
+    stores = opened;
+    return renumbered;
+}
+
+// Where the collections are kept, for the startup log
+function describeStorage() {
+    return STORAGE_DRIVER === 'sqlite' ? `SQLite database ${SQLITE_FILE}` : `JSON files in ${DATA_DIR}`;
+}
+
+function storeFor(collection) {
+    if (!stores) {
+        throw new Error('openRepositories() has to be called before the repositories are used');
+    }
+    return stores[collection];
+}
+
+// The repositories exist from the start; they reach the store once it is open
+const repositories = Object.fromEntries(COLLECTIONS.map(c => [c, createRepository({
+    read: fn => storeFor(c).read(fn),
+    readNow: fn => storeFor(c).readNow(fn),
+    write: fn => storeFor(c).write(fn)
+})]));
+
+module.exports = {
+    ...repositories,
+    STORAGE_DRIVER,
+    openRepositories,
+    describeStorage
+};
@@ -0,0 +1,67 @@
+// JSON file driver: each collection is an array of records in data/<name>.json.
+// Writes go through updateData() from lib/storage.js, so they are atomic and
+// run one at a time.
+// The counters (see sequences.js) are kept in sequences.json as { name, value }
+// records. A write holds the sequences.json lock around the collection's own
+// write and saves the counters only after the collection has been saved, so a
+// failed write doesn't use up numbers.
+
+const { readData, updateData, removeWhere } = require('../lib/storage');
+const { matches } = require('./repository');
+const { nextValue, highestId } = require('./sequences');
+
+const SEQUENCES_FILE = 'sequences.json';
+
+// Move a counter on and return its new value
+function reserveNumber(sequences, name, highestInUse) {
+    let counter = sequences.find(s => s.name === name);
+    if (!counter) {
+        counter = { name, value: 0 };
+        sequences.push(counter);
+    }
+    counter.value = nextValue(counter.value, highestInUse);
+    return counter.value;
+}
+
+// The table interface from repository.js over an array of records.
+// sequences is null for reads.
+function arrayTable(collection, records, sequences) {
+    return {
+        list: filter => records.filter(r => matches(r, filter)),
+        get: id => records.find(r => r.id === id) || null,
+        findOne: filter => records.find(r => matches(r, filter)) || null,
+        count: filter => records.filter(r => matches(r, filter)).length,
+
+        nextNumber: (name, highestInUse) => reserveNumber(sequences, name, highestInUse),
+
+        insert(record) {
+            const { id: _, ...fields } = record;
+            const saved = { id: reserveNumber(sequences, collection, highestId(records)), ...fields };
+            records.push(saved);
+            return saved;
+        },
+
+        update(id, change) {
+            const record = records.find(r => r.id === id);
+            if (!record) return null;
+            change(record);
+            return record;
+        },
+
+        remove: id => removeWhere(records, r => r.id === id).length > 0
+    };
+}
+
+function createJsonStore(collection) {
+    const filename = `${collection}.json`;
+    const readNow = fn => fn(arrayTable(collection, readData(filename), null));
+    return {
+        read: async fn => readNow(fn),
+        readNow,
+        write: fn => updateData(SEQUENCES_FILE, sequences =>
+            updateData(filename, records => fn(arrayTable(collection, records, sequences)))
+        )
+    };
+}
+
+module.exports = { SEQUENCES_FILE, createJsonStore, reserveNumber };
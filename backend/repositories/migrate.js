@@ -0,0 +1,68 @@
+// Schema migrations: the stored records are brought up to the shape the code
+// expects when the server starts. Each migration (see migrations/) has a
+// version number and, per collection, a function that fixes one record in
+// place. The migrations that have been applied are recorded in the migrations
+// collection next to the data (migrations.json, or a table in SQLite), and the
+// highest version among them is the schema version of the data.
+// A migration is recorded only after all its collections have been saved, so
+// one that was interrupted runs again on the next start.
+// A migration that needs other records to fix one (say, the users to link a
+// booking to its customer) has a prepare(stores) function; what it resolves to
+// is passed to each fix as the second argument.
+
+const MIGRATIONS = require('./migrations');
+
+const LATEST_VERSION = MIGRATIONS.length;
+
+// A typo in a version number would otherwise skip or repeat a migration
+MIGRATIONS.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+        throw new Error(`Migration "${migration.name}" has version ${migration.version}, expected ${index + 1}`);
+    }
+});
+
+async function schemaVersion(log) {
+    const applied = await log.read(table => table.list({}));
+    return applied.reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+// Run fix on every record of a collection. Resolves to the number of records it changed.
+function migrateCollection(store, fix, context) {
+    return store.write(table => table.list({}).filter(record => {
+        const before = JSON.stringify(record);
+        const updated = table.update(record.id, found => fix(found, context));
+        return JSON.stringify(updated) !== before;
+    }).length);
+}
+
+// stores holds the store of every collection plus the migrations log.
+// Resolves to the versions that were applied. Rejects if the data is newer
+// than this code, so an old server doesn't work on records it doesn't know.
+async function runMigrations(stores) {
+    const log = stores.migrations;
+    const current = await schemaVersion(log);
+
+    if (current > LATEST_VERSION) {
+        throw new Error(`The data is at schema version ${current}, but this server only knows up to version ${LATEST_VERSION}. Update the server before starting it.`);
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > current);
+    for (const migration of pending) {
+        const counts = [];
+        const context = migration.prepare ? await migration.prepare(stores) : undefined;
+        for (const [collection, fix] of Object.entries(migration.collections)) {
+            const changed = await migrateCollection(stores[collection], fix, context);
+            counts.push(`${changed} record(s) in ${collection}`);
+        }
+        await log.write(table => table.insert({
+            version: migration.version,
+            name: migration.name,
+            appliedAt: new Date().toISOString()
+        }));
+        console.log(`🔄 Migrated data to schema version ${migration.version}: ${migration.name} (updated ${counts.join(', ')})`);
+    }
+
+    return pending.map(m => m.version);
+}
+
+module.exports = { runMigrations };
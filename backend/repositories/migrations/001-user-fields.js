@@ -0,0 +1,28 @@
+// Users get the same fields whichever way they were saved: older records used
+// snake_case names (first_name, user_type, ...) and accounts from the sample
+// data have no phone number or creation date.
+
+const SNAKE_CASE_FIELDS = {
+    first_name: 'firstName',
+    last_name: 'lastName',
+    phone_number: 'phoneNumber',
+    user_type: 'userType',
+    created_at: 'createdAt'
+};
+
+module.exports = {
+    version: 1,
+    name: 'Give users camelCase fields, a phone number and a creation date',
+    collections: {
+        users(user) {
+            Object.entries(SNAKE_CASE_FIELDS).forEach(([oldName, newName]) => {
+                if (!(oldName in user)) return;
+                if (user[newName] === undefined) user[newName] = user[oldName];
+                delete user[oldName];
+            });
+            if (user.phoneNumber === undefined || user.phoneNumber === null) user.phoneNumber = '';
+            // We don't know when these accounts were made
+            if (user.createdAt === undefined) user.createdAt = null;
+        }
+    }
+};
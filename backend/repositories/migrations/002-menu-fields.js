@@ -0,0 +1,13 @@
+// Menu items from menu.json have no description or picture; the sample menu
+// has both. Items without them get empty strings.
+
+module.exports = {
+    version: 2,
+    name: 'Give menu items a description and an image URL',
+    collections: {
+        menu(item) {
+            if (typeof item.description !== 'string') item.description = '';
+            if (typeof item.imageUrl !== 'string') item.imageUrl = '';
+        }
+    }
+};
@@ -0,0 +1,11 @@
+// Receipts made before the customer's phone was copied onto them have none.
+
+module.exports = {
+    version: 3,
+    name: 'Give receipts a customer phone number',
+    collections: {
+        receipts(receipt) {
+            if (typeof receipt.customerPhone !== 'string') receipt.customerPhone = '';
+        }
+    }
+};
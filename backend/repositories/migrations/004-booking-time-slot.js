@@ -0,0 +1,13 @@
+// Bookings are made for a time slot of the day (see lib/availability.js).
+// Bookings from before slots existed get none; they still count towards their
+// day's events and guests.
+
+module.exports = {
+    version: 4,
+    name: 'Give bookings a time slot',
+    collections: {
+        bookings(booking) {
+            if (booking.timeSlot === undefined) booking.timeSlot = null;
+        }
+    }
+};
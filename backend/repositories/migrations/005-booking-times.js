@@ -0,0 +1,15 @@
+// Bookings have a start and end time inside their time slot and a service
+// style (see lib/availability.js). Bookings from before then get none; they
+// don't take part in the buffer check between events.
+
+module.exports = {
+    version: 5,
+    name: 'Give bookings start and end times and a service style',
+    collections: {
+        bookings(booking) {
+            if (booking.startTime === undefined) booking.startTime = null;
+            if (booking.endTime === undefined) booking.endTime = null;
+            if (booking.serviceStyle === undefined) booking.serviceStyle = null;
+        }
+    }
+};
@@ -0,0 +1,12 @@
+// Booking status changes are recorded in statusHistory (see
+// lib/bookingStatus.js). Bookings from before then start with an empty one.
+
+module.exports = {
+    version: 6,
+    name: 'Give bookings a status history',
+    collections: {
+        bookings(booking) {
+            if (!Array.isArray(booking.statusHistory)) booking.statusHistory = [];
+        }
+    }
+};
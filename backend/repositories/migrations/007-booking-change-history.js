@@ -0,0 +1,12 @@
+// Changes customers make to their bookings are recorded in changeHistory (see
+// lib/bookingChanges.js). Bookings from before then start with an empty one.
+
+module.exports = {
+    version: 7,
+    name: 'Give bookings a change history',
+    collections: {
+        bookings(booking) {
+            if (!Array.isArray(booking.changeHistory)) booking.changeHistory = [];
+        }
+    }
+};
@@ -0,0 +1,13 @@
+// Bookings are paid by a schedule of installments (see
+// lib/paymentSchedule.js). Bookings from before then get none and keep being
+// paid in one go through their receipt.
+
+module.exports = {
+    version: 8,
+    name: 'Give bookings a payment schedule',
+    collections: {
+        bookings(booking) {
+            if (booking.paymentSchedule === undefined) booking.paymentSchedule = null;
+        }
+    }
+};
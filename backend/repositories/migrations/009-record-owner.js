@@ -0,0 +1,28 @@
+// Bookings, and the receipts, credit notes and checkouts made from them, belong
+// to the account of the customer who made the booking (userId). Bookings from
+// before then only had the email that was sent with them; they go to the
+// account with that email, or to none (null) if there isn't one, in which case
+// only the staff see them.
+
+function ownerOf(record, userIds) {
+    return userIds.get(String(record.customerEmail || '').toLowerCase()) ?? null;
+}
+
+function linkOwner(record, userIds) {
+    if (record.userId === undefined) record.userId = ownerOf(record, userIds);
+}
+
+module.exports = {
+    version: 9,
+    name: 'Link bookings and receipts to the customer\'s account',
+    async prepare(stores) {
+        const users = await stores.users.read(table => table.list({}));
+        return new Map(users.map(user => [String(user.email).toLowerCase(), user.id]));
+    },
+    collections: {
+        bookings: linkOwner,
+        receipts: linkOwner,
+        creditNotes: linkOwner,
+        checkouts: linkOwner
+    }
+};
@@ -0,0 +1,21 @@
+// Payments and checkouts point at their booking by its id, like the rest of
+// the records. They used to hold its BK-... number instead.
+
+function linkBooking(record, bookingIds) {
+    if (typeof record.bookingId === 'string' && bookingIds.has(record.bookingId)) {
+        record.bookingId = bookingIds.get(record.bookingId);
+    }
+}
+
+module.exports = {
+    version: 10,
+    name: 'Link payments and checkouts to bookings by id',
+    async prepare(stores) {
+        const bookings = await stores.bookings.read(table => table.list({}));
+        return new Map(bookings.map(booking => [booking.bookingId, booking.id]));
+    },
+    collections: {
+        payments: linkBooking,
+        checkouts: linkBooking
+    }
+};
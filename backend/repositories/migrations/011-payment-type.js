@@ -0,0 +1,12 @@
+// The payments ledger also holds refunds (see lib/payments.js). The entries
+// from before then were all payments received.
+
+module.exports = {
+    version: 11,
+    name: 'Give payments a type',
+    collections: {
+        payments(payment) {
+            if (payment.type === undefined) payment.type = 'payment';
+        }
+    }
+};
@@ -0,0 +1,17 @@
+// The migrations in the order they are applied. A new one goes at the end with
+// the next version number and must leave a record alone if it is already in
+// the new shape, because a migration that was interrupted is run again.
+
+module.exports = [
+    require('./001-user-fields'),
+    require('./002-menu-fields'),
+    require('./003-receipt-phone'),
+    require('./004-booking-time-slot'),
+    require('./005-booking-times'),
+    require('./006-booking-status-history'),
+    require('./007-booking-change-history'),
+    require('./008-booking-payment-schedule'),
+    require('./009-record-owner'),
+    require('./010-ledger-booking-id'),
+    require('./011-payment-type')
+];
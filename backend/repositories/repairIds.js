@@ -0,0 +1,84 @@
+// One-off repair for data saved before ids came from counters. Ids used to be
+// "number of records + 1", which repeats once a record has been deleted, and
+// receipt numbers were made the same way. Records that share an id (or have
+// none) get a new id, and receipts that share a receipt number get the next
+// free number; the first record keeps the original. Bookings of a renumbered
+// user are moved to the new id when the email matches.
+// Runs on the JSON files at startup, before the SQLite driver copies them, and
+// does nothing once the data is clean.
+
+const { updateData } = require('../lib/storage');
+const { RECEIPT_NUMBER_COUNTER, formatReceiptNumber, parseReceiptNumber, highestReceiptNumber } = require('../lib/receipts');
+const { SEQUENCES_FILE, reserveNumber } = require('./jsonStore');
+const { highestId } = require('./sequences');
+
+// Give every record after the first with the same key a new one from next()
+function renumber(records, keyOf, next) {
+    const seen = new Set();
+    const changed = [];
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            return;
+        }
+        changed.push({ record, oldKey: key, newKey: next(record) });
+    });
+    return changed;
+}
+
+// Resolves to the renumbered records as [{ collection, oldId, newId }]
+async function repairDuplicateIds(collections) {
+    const renumbered = [];
+
+    await updateData(SEQUENCES_FILE, async sequences => {
+        for (const collection of collections) {
+            const changed = await updateData(`${collection}.json`, records => renumber(
+                records,
+                r => (Number.isInteger(r.id) ? r.id : null),
+                record => {
+                    record.id = reserveNumber(sequences, collection, highestId(records));
+                    return record.id;
+                }
+            ));
+            changed.forEach(({ record, oldKey, newKey }) => {
+                console.log(oldKey === null
+                    ? `🔧 ${collection}.json: a record had no id, it now has id ${newKey}`
+                    : `🔧 ${collection}.json: id ${oldKey} was used more than once, one record now has id ${newKey}`);
+                renumbered.push({ collection, oldId: oldKey, newId: newKey, record });
+            });
+        }
+
+        if (collections.includes('receipts')) {
+            const changed = await updateData('receipts.json', receipts => renumber(
+                receipts,
+                r => parseReceiptNumber(r.receiptNumber) || null,
+                receipt => {
+                    const number = reserveNumber(sequences, RECEIPT_NUMBER_COUNTER, highestReceiptNumber(receipts));
+                    receipt.receiptNumber = formatReceiptNumber(number);
+                    return receipt.receiptNumber;
+                }
+            ));
+            changed.forEach(({ record, oldKey, newKey }) => {
+                console.log(`🔧 receipts.json: receipt ${record.id} had ${oldKey ? `duplicate number ${formatReceiptNumber(oldKey)}` : 'no number'}, now ${newKey}`);
+            });
+        }
+    });
+
+    const users = renumbered.filter(r => r.collection === 'users' && r.oldId !== null);
+    // Bookings and the records made from them point at their customer's account
+    const owned = ['bookings', 'receipts', 'creditNotes', 'checkouts'].filter(c => collections.includes(c));
+    for (const collection of users.length ? owned : []) {
+        await updateData(`${collection}.json`, records => {
+            users.forEach(({ oldId, newId, record }) => {
+                records
+                    .filter(r => r.userId === oldId && r.customerEmail === record.email)
+                    .forEach(r => { r.userId = newId; });
+            });
+        });
+    }
+
+    return renumbered.map(({ collection, oldId, newId }) => ({ collection, oldId, newId }));
+}
+
+module.exports = { repairDuplicateIds };
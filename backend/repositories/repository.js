@@ -0,0 +1,57 @@
+// What every repository offers, whichever driver stores the records.
+// A driver gives each collection a store with these methods:
+//   read(fn)  - call fn(table) and resolve to what it returns
+//   readNow(fn) - the same, but return it right away, for reads inside
+//               another collection's write
+//   write(fn) - the same, but fn runs alone (no other write to the collection
+//               can happen in between) and its changes are saved when it
+//               returns. Nothing is saved if fn throws.
+// The table handed to fn works on the records synchronously:
+//   list(filter), get(id), findOne(filter), count(filter),
+//   insert(record), update(id, change), remove(id),
+//   nextNumber(name, highestInUse) (write only, see sequences.js)
+// A filter is an object of field values a record must equal, e.g. { email }.
+// insert() takes the id from the collection's counter, never from the record.
+
+function createRepository(store) {
+    return {
+        list: (filter = {}) => store.read(table => table.list(filter)),
+        get: id => store.read(table => table.get(id)),
+        findOne: filter => store.read(table => table.findOne(filter)),
+        count: (filter = {}) => store.read(table => table.count(filter)),
+
+        // Resolves to the saved record with its new id
+        insert: record => store.write(table => table.insert(record)),
+
+        // change(record) edits the record in place. Resolves to the updated
+        // record, or null if there is no record with that id.
+        update: (id, change) => store.write(table => table.update(id, change)),
+
+        // Resolves to false if there is no record with that id
+        remove: id => store.write(table => table.remove(id)),
+
+        // Read inside another collection's transaction, e.g. a booking's payments
+        // while it is cancelled. fn gets the table, only for reading, and must
+        // not be async. Returns whatever fn returns.
+        readNow: fn => store.readNow(fn),
+
+        // Reads and writes that have to happen together, e.g. check that a date
+        // is free and then book it. fn gets the table and must not be async
+        // (the SQLite driver can't keep a transaction open across an await).
+        // Resolves to whatever fn returns.
+        transaction: fn => store.write(table => {
+            const result = fn(table);
+            if (result && typeof result.then === 'function') {
+                throw new Error('Repository transactions must be synchronous');
+            }
+            return result;
+        })
+    };
+}
+
+// Whether a record has every field value in the filter
+function matches(record, filter = {}) {
+    return Object.keys(filter).every(key => record[key] === filter[key]);
+}
+
+module.exports = { createRepository, matches };
@@ -0,0 +1,34 @@
+// Counters behind new ids (one per collection, named after it) and other
+// running numbers such as receipt numbers. A counter only goes up, so the
+// number of a deleted record is never handed out again. The next value is also
+// kept above the highest number in use, in case a counter was lost or the data
+// was edited by hand.
+
+function nextValue(saved, highestInUse = 0) {
+    return Math.max(saved || 0, highestInUse || 0) + 1;
+}
+
+// Highest numeric id among the records
+function highestId(records) {
+    return records.reduce((max, r) => (Number.isInteger(r.id) ? Math.max(max, r.id) : max), 0);
+}
+
+// References made before the counters end in a Date.now() timestamp, e.g.
+// BK-1764276311712. A counter never gets that far, so they are left out of the
+// highest number in use; otherwise new ones would carry on from the timestamp.
+const TIMESTAMP_SIZED = 1e12;
+
+// The next reference such as BK-42 for a record's field, from a counter named
+// after the field. table is the one given to a transaction, so the number is
+// only used up when the record is saved with it.
+function nextReference(table, field, prefix) {
+    const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+    const highest = table.list({}).reduce((max, r) => {
+        const match = pattern.exec(r[field] || '');
+        const number = match ? parseInt(match[1], 10) : 0;
+        return number < TIMESTAMP_SIZED ? Math.max(max, number) : max;
+    }, 0);
+    return `${prefix}-${table.nextNumber(field, highest)}`;
+}
+
+module.exports = { nextValue, highestId, nextReference };
@@ -0,0 +1,162 @@
+// SQLite driver: each collection is a table in one database file.
+// A record is stored whole as JSON in the data column next to its id, so
+// records have the same shape as with the JSON driver and a new field needs no
+// schema change. Filters look inside the JSON with json_extract().
+// The counters (see sequences.js) live in the sequences table and are moved on
+// in the same transaction as the write that uses them.
+
+const { StorageError } = require('../lib/storage');
+const { nextValue } = require('./sequences');
+
+// better-sqlite3 is an optional dependency (it is compiled on install), so it
+// is only loaded when the SQLite driver is picked
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package. Run npm install in backend/ and try again.');
+    }
+}
+
+function openDatabase(file) {
+    const Database = loadDriver();
+    const db = new Database(file);
+    // WAL lets requests keep reading while a write is committed
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec('CREATE TABLE IF NOT EXISTS sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+    return db;
+}
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function fieldPath(field) {
+    if (!FIELD_NAME.test(field)) {
+        throw new Error(`Invalid field name: ${field}`);
+    }
+    return `json_extract(data, '$.${field}')`;
+}
+
+// SQLite can't bind booleans; json_extract() returns 1/0 for them
+function toParam(value) {
+    return typeof value === 'boolean' ? Number(value) : value;
+}
+
+function whereClause(filter = {}) {
+    const fields = Object.keys(filter);
+    return {
+        sql: fields.length ? ` WHERE ${fields.map(f => `${fieldPath(f)} = ?`).join(' AND ')}` : '',
+        params: fields.map(f => toParam(filter[f]))
+    };
+}
+
+function parse(row) {
+    return row ? JSON.parse(row.data) : null;
+}
+
+// indexes lists the fields that are often filtered on
+function createSqliteStore(db, collection, indexes = []) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+    indexes.forEach(field => {
+        db.exec(`CREATE INDEX IF NOT EXISTS ${collection}_${field} ON ${collection} (${fieldPath(field)})`);
+    });
+
+    const selectById = db.prepare(`SELECT data FROM ${collection} WHERE id = ?`);
+    const selectHighestId = db.prepare(`SELECT COALESCE(MAX(id), 0) AS id FROM ${collection}`);
+    const selectCounter = db.prepare('SELECT value FROM sequences WHERE name = ?');
+    const saveCounter = db.prepare('INSERT INTO sequences (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value');
+    const insertRow = db.prepare(`INSERT INTO ${collection} (id, data) VALUES (?, ?)`);
+    const updateRow = db.prepare(`UPDATE ${collection} SET data = ? WHERE id = ?`);
+    const deleteRow = db.prepare(`DELETE FROM ${collection} WHERE id = ?`);
+
+    const table = {
+        list(filter) {
+            const where = whereClause(filter);
+            return db.prepare(`SELECT data FROM ${collection}${where.sql} ORDER BY id`).all(...where.params).map(parse);
+        },
+
+        get: id => (Number.isInteger(id) ? parse(selectById.get(id)) : null),
+
+        findOne(filter) {
+            const where = whereClause(filter);
+            return parse(db.prepare(`SELECT data FROM ${collection}${where.sql} ORDER BY id LIMIT 1`).get(...where.params));
+        },
+
+        count(filter) {
+            const where = whereClause(filter);
+            return db.prepare(`SELECT COUNT(*) AS count FROM ${collection}${where.sql}`).get(...where.params).count;
+        },
+
+        nextNumber(name, highestInUse) {
+            const counter = selectCounter.get(name);
+            const value = nextValue(counter && counter.value, highestInUse);
+            saveCounter.run(name, value);
+            return value;
+        },
+
+        insert(record) {
+            const { id: _, ...fields } = record;
+            const saved = { id: table.nextNumber(collection, selectHighestId.get().id), ...fields };
+            insertRow.run(saved.id, JSON.stringify(saved));
+            return saved;
+        },
+
+        update(id, change) {
+            const record = table.get(id);
+            if (!record) return null;
+            change(record);
+            updateRow.run(JSON.stringify(record), id);
+            return record;
+        },
+
+        remove: id => Number.isInteger(id) && deleteRow.run(id).changes > 0
+    };
+
+    // BEGIN IMMEDIATE takes the write lock up front, so a read-then-write can't
+    // interleave with another process writing to the same database
+    const runWrite = db.transaction(fn => fn(table));
+
+    // Database errors look the same to the routes as JSON file errors
+    function guard(run) {
+        try {
+            return run();
+        } catch (error) {
+            if (error.code && String(error.code).startsWith('SQLITE_')) {
+                throw new StorageError(`Could not access the ${collection} table: ${error.message}`, collection, error);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        read: async fn => guard(() => fn(table)),
+        readNow: fn => guard(() => fn(table)),
+        write: async fn => guard(() => runWrite.immediate(fn))
+    };
+}
+
+// Copy records into an empty table, e.g. from the JSON files when switching
+// drivers. Returns the number of records copied (0 if the table had data).
+function importRecords(db, collection, records) {
+    const copy = db.transaction(() => {
+        if (db.prepare(`SELECT COUNT(*) AS count FROM ${collection}`).get().count > 0) return 0;
+        const insertRow = db.prepare(`INSERT INTO ${collection} (id, data) VALUES (?, ?)`);
+        records.forEach(record => insertRow.run(record.id, JSON.stringify(record)));
+        return records.length;
+    });
+    return copy.immediate();
+}
+
+// Write a consistent copy of a database file to destination (for snapshots).
+// Works while the server has the database open.
+function copyDatabase(file, destination) {
+    const Database = loadDriver();
+    const db = new Database(file, { fileMustExist: true });
+    try {
+        db.prepare('VACUUM INTO ?').run(destination);
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { openDatabase, createSqliteStore, importRecords, copyDatabase };
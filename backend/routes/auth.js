@@ -1,351 +1,517 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const QRCode = require('qrcode');
+const db = require('../repositories');
+const { hashPassword, verifyPassword, needsRehash } = require('../lib/passwords');
+const { issueToken, findToken, consumeToken, discardUserTokens } = require('../lib/oneTimeTokens');
+const { APP_URL, sendMail } = require('../lib/mailer');
+const loginThrottle = require('../lib/loginThrottle');
+const twoFactor = require('../lib/twoFactor');
+const { publicUser, isVerified, setPassword, sendVerificationEmail, markVerified } = require('../lib/users');
+const {
+  generateToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  authenticateToken
+} = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { PHONE_NUMBER, validate, sendFieldErrors } = require('../middleware/validate');
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL_MINUTES = 30;
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+
+const NEW_PASSWORD = { type: 'string', required: true, minLength: 6, maxLength: 200 };
+const CODE = { type: 'string', required: true, maxLength: 20 };
+
+// 429 answer for a login that has to wait (see lib/loginThrottle.js)
+function sendLoginBlocked(res, blocked) {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(429).json({
+    error: blocked.locked
+      ? `Too many failed login attempts. Login is locked for ${Math.ceil(blocked.retryAfter / 60)} minute(s).`
+      : `Too many failed login attempts. Please wait ${blocked.retryAfter} second(s) and try again.`,
+    retryAfter: blocked.retryAfter
+  });
+}
+
 // Login endpoint
-router.post('/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 })
-], async (req, res) => {
+const loginSchema = {
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+router.post('/login', validate({ body: loginSchema }), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const blocked = loginThrottle.checkLogin(email, req.ip);
+  if (blocked) {
+    return sendLoginBlocked(res, blocked);
+  }
+
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const user = await db.users.findOne({ email });
+
+    if (!user || !(await verifyPassword(password, user.password))) {
+      await loginThrottle.recordFailure(email, req.ip);
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const { email, password } = req.body;
-    const db = getDatabase();
-
-    // Find user by email
-    db.get(
-      'SELECT * FROM users WHERE email = ? AND is_active = 1',
-      [email],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (!user) {
-          return res.status(401).json({ error: 'Invalid email or password' });
-        }
-
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
-        if (!isValidPassword) {
-          return res.status(401).json({ error: 'Invalid email or password' });
-        }
-
-        // Generate token
-        const token = generateToken(user);
-
-        // Return user data (without password)
-        const { password_hash, ...userWithoutPassword } = user;
-        res.json({
-          message: 'Login successful',
-          token,
-          user: userWithoutPassword
-        });
-      }
-    );
+    // Accounts created before hashing still have a plaintext password, upgrade it now
+    if (needsRehash(user.password) && !(await setPassword(user.id, password))) {
+      console.error(`Could not upgrade password hash for user ${user.id}`);
+    }
+
+    // With two-factor authentication the password only gets a short-lived
+    // challenge; the session is created by /api/auth/login/2fa
+    if (twoFactor.isEnabled(user)) {
+      const challengeToken = await issueToken('two-factor-login', user.id, TWO_FACTOR_CHALLENGE_TTL_MINUTES);
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    await loginThrottle.recordSuccess(email);
+
+    const token = await generateToken(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      user: publicUser(user)
+    });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+}));
 
-// Register endpoint
-router.post('/register', [
-  body('username').isLength({ min: 3 }).trim().escape(),
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('firstName').isLength({ min: 2 }).trim().escape(),
-  body('lastName').isLength({ min: 2 }).trim().escape(),
-  body('phoneNumber').optional().isMobilePhone()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// Second login step for accounts with two-factor authentication.
+// A wrong code counts as a failed login, so codes can't be guessed quickly.
+router.post('/login/2fa', validate({ body: { challengeToken: { type: 'string', required: true }, code: CODE } }), asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
 
-    const { username, email, password, firstName, lastName, phoneNumber } = req.body;
-    const db = getDatabase();
-
-    // Check if user already exists
-    db.get(
-      'SELECT id FROM users WHERE email = ? OR username = ?',
-      [email, username],
-      async (err, existingUser) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (existingUser) {
-          return res.status(409).json({ error: 'User already exists' });
-        }
-
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        // Insert new user
-        db.run(
-          `INSERT INTO users (username, email, password_hash, first_name, last_name, phone_number, user_type) 
-           VALUES (?, ?, ?, ?, ?, ?, 'customer')`,
-          [username, email, hashedPassword, firstName, lastName, phoneNumber],
-          function(err) {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to create user' });
-            }
-
-            // Get the created user
-            db.get(
-              'SELECT * FROM users WHERE id = ?',
-              [this.lastID],
-              (err, user) => {
-                if (err) {
-                  return res.status(500).json({ error: 'Database error' });
-                }
-
-                const token = generateToken(user);
-                const { password_hash, ...userWithoutPassword } = user;
-                
-                res.status(201).json({
-                  message: 'User created successfully',
-                  token,
-                  user: userWithoutPassword
-                });
-              }
-            );
-          }
-        );
-      }
-    );
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const expired = { error: 'Your login has expired, please log in again' };
+  const challenge = findToken('two-factor-login', challengeToken);
+  if (!challenge) {
+    return res.status(401).json(expired);
   }
-});
 
-// Get current user info
-router.get('/me', authenticateToken, (req, res) => {
-  const db = getDatabase();
-  
-  db.get(
-    'SELECT id, username, email, first_name, last_name, phone_number, user_type, created_at FROM users WHERE id = ?',
-    [req.user.id],
-    (err, user) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+  const user = await db.users.get(challenge.userId);
+  if (!user || !twoFactor.isEnabled(user)) {
+    return res.status(401).json(expired);
+  }
 
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+  const blocked = loginThrottle.checkLogin(user.email, req.ip);
+  if (blocked) {
+    return sendLoginBlocked(res, blocked);
+  }
 
-      res.json({ user });
+  // Checked and saved in one transaction, so the same code can't be used twice at once
+  const verifiedUser = await db.users.transaction(users => {
+    const stored = users.get(user.id);
+    const updated = stored && twoFactor.checkCode(stored.twoFactor, code);
+    if (!updated) return null;
+    return users.update(user.id, u => { u.twoFactor = updated; });
+  });
+  if (!verifiedUser) {
+    await loginThrottle.recordFailure(user.email, req.ip);
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  if (!(await consumeToken('two-factor-login', challengeToken))) {
+    return res.status(401).json(expired);
+  }
+
+  await loginThrottle.recordSuccess(user.email);
+
+  const token = await generateToken(verifiedUser, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    user: publicUser(verifiedUser),
+    backupCodesLeft: verifiedUser.twoFactor.backupCodes.length
+  });
+}));
+
+const registerSchema = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  mobileNumber: PHONE_NUMBER,
+  password: NEW_PASSWORD,
+  repeatPassword: { type: 'string', required: true }
+};
+
+// Register/Signup route
+router.post('/register', validate({ body: registerSchema }), asyncHandler(async (req, res) => {
+  const { firstName, lastName, email, mobileNumber, password, repeatPassword } = req.body;
+
+  if (password !== repeatPassword) {
+    return sendFieldErrors(res, { repeatPassword: 'does not match the password' });
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  // The email check and the insert happen in one transaction so two signups
+  // with the same email can't both get through
+  const newUser = await db.users.transaction(users => {
+    if (users.findOne({ email })) {
+      return null;
     }
-  );
-});
 
-// Logout endpoint (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logout successful' });
+    return users.insert({
+      username: email.split('@')[0],
+      email,
+      password: passwordHash,
+      firstName,
+      lastName,
+      phoneNumber: mobileNumber || '',
+      userType: 'customer',
+      accountStatus: 'unverified',
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  if (!newUser) {
+    return res.status(409).json({ error: 'User with this email already exists' });
+  }
+
+  // The account is saved either way, the user can ask for a new link later
+  const verificationSent = await sendVerificationEmail(newUser);
+
+  res.status(201).json({
+    message: 'User created successfully',
+    verificationSent,
+    user: publicUser(newUser)
+  });
+}));
+
+// Confirm an email address with the token from the verification link
+router.post('/verify-email', validate({ body: { token: { type: 'string', required: true } } }), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const record = await consumeToken('email-verification', token);
+  if (!record) {
+    return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+  }
+
+  if (!(await markVerified(record.userId))) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ message: 'Email verified. You can now book events.' });
+}));
+
+// Send the logged in user a new verification link
+router.post('/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  if (isVerified(req.user)) {
+    return res.status(400).json({ error: 'Your email is already verified' });
+  }
+
+  if (!(await sendVerificationEmail(req.user))) {
+    return res.status(500).json({ error: 'Failed to send verification email' });
+  }
+
+  res.json({ message: 'Verification email sent' });
+}));
+
+// req.user is filled in by the session middleware from the Bearer token
+router.get('/me', authenticateToken, (req, res) => {
+  res.json({ user: req.user });
 });
 
-// Update profile
-router.put('/profile', [
-  authenticateToken,
-  body('firstName').optional().isLength({ min: 2 }).trim().escape(),
-  body('lastName').optional().isLength({ min: 2 }).trim().escape(),
-  body('email').optional().isEmail().normalizeEmail(),
-  body('phoneNumber').optional().trim().escape(),
-  body('username').optional().isLength({ min: 3 }).trim().escape()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  await revokeSession(req.session.id);
+  res.json({ message: 'Logout successful' });
+}));
+
+// Fields that are left out (or empty) keep their value, except the phone number
+const profileSchema = {
+  firstName: { type: 'string', maxLength: 100 },
+  lastName: { type: 'string', maxLength: 100 },
+  email: { type: 'email' },
+  phoneNumber: PHONE_NUMBER,
+  username: { type: 'string', maxLength: 50 }
+};
+
+// Update profile of the logged in user (email in the body is the new email).
+// A new email has to be verified again, like at signup, and reset links
+// already sent to the old one stop working.
+router.put('/profile', authenticateToken, validate({ body: profileSchema }), asyncHandler(async (req, res) => {
+  const currentEmail = req.user.email;
+  const { firstName, lastName, email: newEmail, phoneNumber, username } = req.body;
+
+  // Checked and saved in one transaction so the email/username can't be taken in between
+  const result = await db.users.transaction(users => {
+    const user = users.get(req.user.id);
+
+    if (!user) {
+      return { status: 404, error: 'User not found' };
     }
 
-    const { firstName, lastName, email, phoneNumber, username } = req.body;
-    const db = getDatabase();
-
-    // Check if email is being changed and if it's already taken
-    if (email) {
-      db.get(
-        'SELECT id FROM users WHERE email = ? AND id != ?',
-        [email, req.user.id],
-        (err, existingUser) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (existingUser) {
-            return res.status(409).json({ error: 'Email already in use' });
-          }
-
-          // Check if username is being changed and if it's already taken
-          if (username) {
-            db.get(
-              'SELECT id FROM users WHERE username = ? AND id != ?',
-              [username, req.user.id],
-              (err, existingUsername) => {
-                if (err) {
-                  return res.status(500).json({ error: 'Database error' });
-                }
-
-                if (existingUsername) {
-                  return res.status(409).json({ error: 'Username already in use' });
-                }
-
-                updateProfile();
-              }
-            );
-          } else {
-            updateProfile();
-          }
-        }
-      );
-    } else if (username) {
-      // Check if username is being changed and if it's already taken
-      db.get(
-        'SELECT id FROM users WHERE username = ? AND id != ?',
-        [username, req.user.id],
-        (err, existingUsername) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (existingUsername) {
-            return res.status(409).json({ error: 'Username already in use' });
-          }
-
-          updateProfile();
-        }
-      );
-    } else {
-      updateProfile();
+    // If newEmail is provided and different from current, check if it's available
+    if (newEmail && newEmail !== currentEmail && users.findOne({ email: newEmail })) {
+      return { status: 409, error: 'Email already in use' };
     }
 
-    function updateProfile() {
-      const updates = [];
-      const values = [];
+    // Check if username is already taken
+    if (username && username !== user.username && users.list({ username }).some(u => u.id !== user.id)) {
+      return { status: 409, error: 'Username already in use' };
+    }
 
-      if (firstName) {
-        updates.push('first_name = ?');
-        values.push(firstName);
-      }
-      if (lastName) {
-        updates.push('last_name = ?');
-        values.push(lastName);
-      }
-      if (email) {
-        updates.push('email = ?');
-        values.push(email);
-      }
-      if (phoneNumber !== undefined) {
-        updates.push('phone_number = ?');
-        values.push(phoneNumber);
-      }
-      if (username) {
-        updates.push('username = ?');
-        values.push(username);
+    const emailChanged = !!newEmail && newEmail !== user.email;
+    const updated = users.update(user.id, u => {
+      if (emailChanged) {
+        u.email = newEmail;
+        u.accountStatus = 'unverified';
+        u.verifiedAt = null;
       }
+      if (username) u.username = username;
+      if (firstName) u.firstName = firstName;
+      if (lastName) u.lastName = lastName;
+      if (phoneNumber !== undefined) u.phoneNumber = phoneNumber;
+    });
+    return { user: updated, emailChanged };
+  });
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
 
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No fields to update' });
-      }
+  if (!result.emailChanged) {
+    return res.json({ message: 'Profile updated successfully', user: publicUser(result.user) });
+  }
 
-      updates.push('updated_at = CURRENT_TIMESTAMP');
-      values.push(req.user.id);
-
-      db.run(
-        `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
-        values,
-        (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update profile' });
-          }
-
-          // Get updated user
-          db.get(
-            'SELECT id, username, email, first_name, last_name, phone_number, user_type, created_at FROM users WHERE id = ?',
-            [req.user.id],
-            (err, user) => {
-              if (err) {
-                return res.status(500).json({ error: 'Database error' });
-              }
-
-              res.json({
-                message: 'Profile updated successfully',
-                user
-              });
-            }
-          );
-        }
-      );
-    }
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  await discardUserTokens(result.user.id, 'password-reset');
+  // The change is saved either way, the user can ask for a new link later
+  const verificationSent = await sendVerificationEmail(result.user);
+
+  res.json({
+    message: 'Profile updated successfully. Please verify your new email address.',
+    verificationSent,
+    user: publicUser(result.user)
+  });
+}));
+
+// Change password of the logged in user
+const changePasswordSchema = {
+  currentPassword: { type: 'string', required: true },
+  newPassword: NEW_PASSWORD
+};
+
+router.post('/change-password', authenticateToken, validate({ body: changePasswordSchema }), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await db.users.get(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
   }
+
+  if (!(await verifyPassword(currentPassword, user.password))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  if (!(await setPassword(user.id, newPassword))) {
+    return res.status(500).json({ error: 'Failed to update password' });
+  }
+
+  // Stay logged in here, but sign out every other device
+  const revoked = await revokeUserSessions(user.id, req.session.id);
+
+  res.json({ message: 'Password updated successfully', sessionsRevoked: revoked });
+}));
+
+// Devices the logged in user is signed in on
+router.get('/sessions', authenticateToken, (req, res) => {
+  res.json({ sessions: listUserSessions(req.user.id, req.session.id) });
 });
 
-// Change password
-router.post('/change-password', [
-  authenticateToken,
-  body('currentPassword').isLength({ min: 6 }),
-  body('newPassword').isLength({ min: 6 })
-], async (req, res) => {
+// Sign out every device except this one
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeUserSessions(req.user.id, req.session.id);
+  res.json({ message: 'Signed out of all other sessions', sessionsRevoked: revoked });
+}));
+
+// Sign out one device. Revoking the current session is the same as logging out.
+router.delete('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const session = listUserSessions(req.user.id).find(s => s.id === req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await revokeSession(session.id);
+  res.json({ message: 'Session signed out', current: session.id === req.session.id });
+}));
+
+// Two-factor authentication step 1: create a secret and show it as a QR code.
+// It only takes effect once confirmed with a code in step 2.
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.users.get(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (twoFactor.isEnabled(user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is already on' });
+  }
+
+  const setup = twoFactor.startSetup(user);
+  await db.users.update(user.id, stored => { stored.twoFactor = setup.twoFactor; });
+
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+    const qrCode = await QRCode.toDataURL(setup.otpauthUrl);
+    res.json({ secret: setup.twoFactor.secret, otpauthUrl: setup.otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Error creating QR code:', error);
+    res.status(500).json({ error: 'Failed to create QR code' });
+  }
+}));
 
-    const { currentPassword, newPassword } = req.body;
-    const db = getDatabase();
-
-    // Get current user with password
-    db.get(
-      'SELECT password_hash FROM users WHERE id = ?',
-      [req.user.id],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        // Verify current password
-        const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
-        if (!isValidPassword) {
-          return res.status(401).json({ error: 'Current password is incorrect' });
-        }
-
-        // Hash new password
-        const hashedNewPassword = await bcrypt.hash(newPassword, 10);
-
-        // Update password
-        db.run(
-          'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [hashedNewPassword, req.user.id],
-          (err) => {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update password' });
-            }
-
-            res.json({ message: 'Password updated successfully' });
-          }
-        );
-      }
-    );
+// Two-factor authentication step 2: confirm a code from the app, turn 2FA on
+// and hand out the backup codes (the only time they are shown)
+router.post('/2fa/enable', authenticateToken, validate({ body: { code: CODE } }), asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await db.users.get(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (twoFactor.isEnabled(user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is already on' });
+  }
+
+  if (!user.twoFactor || !user.twoFactor.secret) {
+    return res.status(400).json({ error: 'Start the two-factor setup first' });
+  }
+
+  const confirmed = twoFactor.checkCode(user.twoFactor, code, { allowBackupCode: false });
+  if (!confirmed) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  const backup = twoFactor.createBackupCodes();
+  const updatedUser = await db.users.update(user.id, stored => {
+    stored.twoFactor = { ...confirmed, enabled: true, backupCodes: backup.hashes, enabledAt: new Date().toISOString() };
+  });
+
+  res.json({
+    message: 'Two-factor authentication is on',
+    backupCodes: backup.codes,
+    user: publicUser(updatedUser)
+  });
+}));
+
+// Turn two-factor authentication off (needs the password and a current code)
+router.post('/2fa/disable', authenticateToken, validate({ body: { password: { type: 'string', required: true }, code: CODE } }), asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await db.users.get(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!twoFactor.isEnabled(user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is not on' });
+  }
+
+  if (twoFactor.isRequired(user)) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts' });
+  }
+
+  if (!(await verifyPassword(password, user.password))) {
+    return res.status(401).json({ error: 'Password is incorrect' });
+  }
+
+  if (!twoFactor.checkCode(user.twoFactor, code)) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  const updatedUser = await db.users.update(user.id, stored => { delete stored.twoFactor; });
+
+  res.json({ message: 'Two-factor authentication is off', user: publicUser(updatedUser) });
+}));
+
+// Replace the backup codes, e.g. when they have been used up or lost
+router.post('/2fa/backup-codes', authenticateToken, validate({ body: { code: CODE } }), asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await db.users.get(req.user.id);
+
+  if (!user || !twoFactor.isEnabled(user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is not on' });
+  }
+
+  const confirmed = twoFactor.checkCode(user.twoFactor, code, { allowBackupCode: false });
+  if (!confirmed) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  const backup = twoFactor.createBackupCodes();
+  await db.users.update(user.id, stored => {
+    stored.twoFactor = { ...confirmed, backupCodes: backup.hashes };
+  });
+
+  res.json({ message: 'New backup codes created', backupCodes: backup.codes });
+}));
+
+// Forgot password step 1: email a single-use reset link.
+// The answer is the same whether or not the email has an account.
+router.post('/forgot-password', validate({ body: { email: { type: 'email', required: true } } }), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const sentMessage = { message: 'If an account exists for this email, we sent a link to reset the password.' };
+
+  const user = await db.users.findOne({ email });
+  if (!user) {
+    return res.json(sentMessage);
+  }
+
+  const token = await issueToken('password-reset', user.id, RESET_TOKEN_TTL_MINUTES);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your d'sis Catering password",
+      text: `Hi ${user.firstName || ''},\n\n` +
+        `Open this link to choose a new password:\n${APP_URL}/login.html?reset=${token}\n\n` +
+        `The link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ` +
+        `If you did not ask for a reset, you can ignore this email.`
+    });
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error sending reset email:', error);
+    return res.status(500).json({ error: 'Failed to send reset email' });
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  res.json(sentMessage);
+}));
+
+// Forgot password step 2: set the new password using the token from the email
+router.post('/reset-password', validate({ body: { token: { type: 'string', required: true }, newPassword: NEW_PASSWORD } }), asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const record = await consumeToken('password-reset', token);
+  if (!record) {
+    return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+  }
+
+  if (!(await setPassword(record.userId, newPassword))) {
+    return res.status(500).json({ error: 'Failed to update password' });
+  }
+
+  // Whoever knew the old password should not stay logged in
+  await revokeUserSessions(record.userId);
+
+  res.json({ message: 'Password reset successfully. You may now log in with your new password.' });
+}));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const db = require('../repositories');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ID_PARAMS, validate, sendFieldErrors } = require('../middleware/validate');
+const { TIME_SLOTS, SLOT_HOURS, SERVICE_STYLES, CAPACITY, activeBookings, dayStatus } = require('../lib/availability');
+
+const router = express.Router();
+
+// About three months, enough for the calendar to show one month at a time
+const MAX_CALENDAR_DAYS = 93;
+
+// Every date from from to to (YYYY-MM-DD, both included)
+function datesBetween(from, to) {
+  const dates = [];
+  for (const day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    dates.push(day.toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+const calendarSchema = {
+  query: {
+    from: { type: 'date', required: true },
+    to: { type: 'date', required: true }
+  }
+};
+
+// Each day's status (available, limited, full or blocked) and remaining room,
+// for the calendars on the booking page and the admin bookings page. Admins
+// also see why a day is blocked.
+router.get('/', validate(calendarSchema), asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  if (to < from) return sendFieldErrors(res, { to: 'must not be before from' });
+  const dates = datesBetween(from, to);
+  if (dates.length > MAX_CALENDAR_DAYS) return sendFieldErrors(res, { to: `must be at most ${MAX_CALENDAR_DAYS - 1} days after from` });
+
+  const [bookings, blockedDates] = await Promise.all([db.bookings.list(), db.blockedDates.list()]);
+  const isAdmin = hasPermission(req.user, 'availability:manage');
+
+  const days = dates.map(date => {
+    const blocked = blockedDates.find(b => b.date === date);
+    const day = { date, ...dayStatus(bookings.filter(b => b.eventDate === date), !!blocked) };
+    if (blocked && isAdmin) day.reason = blocked.reason;
+    return day;
+  });
+
+  res.json({ timeSlots: TIME_SLOTS, slotHours: SLOT_HOURS, serviceStyles: SERVICE_STYLES, capacity: CAPACITY, days });
+}));
+
+// Admin: dates that take no bookings (holidays, staff days off), soonest first
+router.get('/blocked-dates', requirePermission('availability:manage'), asyncHandler(async (req, res) => {
+  const blockedDates = (await db.blockedDates.list()).sort((a, b) => a.date.localeCompare(b.date));
+  res.json({ blockedDates });
+}));
+
+const blockDateSchema = {
+  body: {
+    date: { type: 'date', required: true },
+    reason: { type: 'string', maxLength: 200 }
+  }
+};
+
+// Admin: block a date. Bookings already made for it are kept; the answer says
+// how many there are so they can be moved or cancelled.
+router.post('/blocked-dates', requirePermission('availability:manage'), validate(blockDateSchema), asyncHandler(async (req, res) => {
+  const { date, reason } = req.body;
+
+  const blocked = await db.blockedDates.transaction(blockedDates => {
+    if (blockedDates.findOne({ date })) return null;
+    return blockedDates.insert({
+      date,
+      reason: reason || '',
+      blockedBy: req.user.id,
+      createdAt: new Date().toISOString()
+    });
+  });
+  if (!blocked) return res.status(409).json({ error: 'This date is already blocked' });
+
+  const bookingsOnDate = activeBookings(await db.bookings.list({ eventDate: date })).length;
+  res.status(201).json({ message: 'Date blocked', blockedDate: blocked, bookingsOnDate });
+}));
+
+// Admin: take bookings on a blocked date again
+router.delete('/blocked-dates/:id', requirePermission('availability:manage'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  if (!(await db.blockedDates.remove(req.params.id))) return res.status(404).json({ error: 'Blocked date not found' });
+  res.json({ message: 'Date unblocked' });
+}));
+
+module.exports = router;
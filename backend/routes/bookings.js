@@ -1,271 +1,427 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { authenticateToken, requireCustomerOrAdmin } = require('../middleware/auth');
+const db = require('../repositories');
+const { isVerified } = require('../lib/users');
+const pricing = require('../lib/pricing');
+const { BOOKING_STATUSES, NEXT_STATUSES, changeProblem, missingReason, recordStatus } = require('../lib/bookingStatus');
+const { TIME_SLOTS, SERVICE_STYLES, timeProblems, capacityProblem } = require('../lib/availability');
+const { buildSchedule, reschedule, settleSchedule, depositProblem } = require('../lib/paymentSchedule');
+const { PAYMENT_METHODS, amountOwed, paymentSummary, groupByBooking, withSettledSchedule, recordPayment } = require('../lib/payments');
+const { CANCELLATION_POLICY, cancellationTerms, cancelBooking } = require('../lib/cancellation');
+const { openCheckout } = require('../lib/paymentGateway');
+const { MODIFICATION_CUTOFF_DAYS, MODIFIABLE_STATUSES, daysUntil, modificationProblem, describeChanges, notifyStaff } = require('../lib/bookingChanges');
+const { nextReference } = require('../repositories/sequences');
+const { authenticateToken, hasPermission, requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { PHONE_NUMBER, ID_PARAMS, validate, sendFieldErrors } = require('../middleware/validate');
 
 const router = express.Router();
 
-// Get all bookings (admin) or user's bookings
-router.get('/', authenticateToken, requireCustomerOrAdmin, (req, res) => {
-  const db = getDatabase();
-  const isAdmin = req.user.userType === 'admin';
-  
-  let query = `
-    SELECT b.*, u.first_name, u.last_name, u.email, u.phone_number
-    FROM bookings b
-    JOIN users u ON b.user_id = u.id
-  `;
-  
-  const params = [];
-  if (!isAdmin) {
-    query += ' WHERE b.user_id = ?';
-    params.push(req.user.id);
+// Staff and admins see every booking, customers only their own, each with
+// what has been paid on it (payment). nextStatuses says which status changes
+// are allowed from each status, modification when customers may still change
+// their bookings themselves.
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const staff = hasPermission(req.user, 'bookings:read');
+  const [bookings, payments] = await Promise.all([
+    staff ? db.bookings.list() : db.bookings.list({ userId: req.user.id }),
+    db.payments.list()
+  ]);
+  const paymentsOf = groupByBooking(payments);
+  res.json({
+    bookings: bookings.map(booking => ({
+      ...withSettledSchedule(booking, paymentsOf[booking.id] || []),
+      payment: paymentSummary(amountOwed(booking), paymentsOf[booking.id] || [])
+    })),
+    nextStatuses: NEXT_STATUSES,
+    modification: { cutoffDays: MODIFICATION_CUTOFF_DAYS, statuses: MODIFIABLE_STATUSES }
+  });
+}));
+
+// Get single booking
+router.get('/:id', authenticateToken, validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+
+  // Customers get a 404 for other people's bookings rather than a hint that they exist
+  if (!booking || (!hasPermission(req.user, 'bookings:read') && booking.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Booking not found' });
   }
-  
-  query += ' ORDER BY b.created_at DESC';
 
-  db.all(query, params, (err, bookings) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+  res.json({ booking: withSettledSchedule(booking, await db.payments.list({ bookingId: booking.id })) });
+}));
+
+// The booking fields that come from its price (see lib/pricing.js).
+// totalAmount is before VAT, which is added on the receipt.
+function priceFields(price) {
+  return {
+    packageId: price.packageId,
+    packageName: price.packageName,
+    foodCost: price.foodCost,
+    multiplier: price.multiplier,
+    stylingFee: price.stylingFee,
+    totalAmount: price.subtotal,
+    items: price.items,
+    dishes: price.dishes
+  };
+}
+
+const bookingSchema = {
+  eventType: { type: 'string', required: true, oneOf: pricing.OCCASIONS },
+  packageId: { type: 'integer', min: 1 },
+  eventDate: { type: 'date', required: true },
+  timeSlot: { type: 'string', required: true, oneOf: Object.keys(TIME_SLOTS) },
+  startTime: { type: 'time', required: true },
+  endTime: { type: 'time', required: true },
+  serviceStyle: { type: 'string', required: true, oneOf: Object.keys(SERVICE_STYLES) },
+  eventVenue: { type: 'string', required: true, maxLength: 300 },
+  numGuests: { type: 'integer', required: true, min: 1, max: 10000 },
+  specialInstructions: { type: 'string', maxLength: 2000 },
+  customerName: { type: 'string', required: true, maxLength: 200 },
+  customerPhone: PHONE_NUMBER,
+  // Leave out (or empty) to take the package's own dishes
+  menuItems: {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      required: true,
+      fields: {
+        itemId: { type: 'integer', required: true },
+        quantity: { type: 'integer', required: true, min: 1 }
+      }
     }
-    res.json({ bookings });
+  }
+};
+
+// Create new booking
+router.post('/', authenticateToken, validate({ body: bookingSchema }), asyncHandler(async (req, res) => {
+  const { eventType, packageId, eventDate, timeSlot, startTime, endTime, serviceStyle, eventVenue, numGuests, specialInstructions, menuItems = [], customerName, customerPhone } = req.body;
+
+  if (!isVerified(req.user)) {
+    return res.status(403).json({ error: 'Please verify your email address before booking. Check your inbox for the verification link.' });
+  }
+
+  // The calendar greys out past days, but the date can be sent by hand
+  if (daysUntil(eventDate) < 0) {
+    return sendFieldErrors(res, { eventDate: 'can\'t be in the past' });
+  }
+
+  const timeErrors = timeProblems({ timeSlot, startTime, endTime });
+  if (timeErrors) return sendFieldErrors(res, timeErrors);
+
+  let price;
+  try {
+    const [packages, menu] = await Promise.all([db.packages.list(), db.menu.list()]);
+    price = pricing.quote({ occasion: eventType, packageId, numGuests, items: menuItems }, { packages, menu });
+  } catch (error) {
+    if (!(error instanceof pricing.PricingError)) throw error;
+    return sendFieldErrors(res, { [error.field]: error.reason });
+  }
+
+  if (await db.blockedDates.findOne({ date: eventDate })) {
+    return res.status(409).json({ error: 'Sorry, we are not taking bookings on this date. Please choose another date.' });
+  }
+
+  // The capacity check and the insert happen in one transaction, otherwise two
+  // customers taking the last room on a date at the same moment would both succeed
+  const result = await db.bookings.transaction(bookings => {
+    const problem = capacityProblem(bookings.list({ eventDate }), { numGuests, timeSlot, startTime, endTime });
+    if (problem) return { problem };
+
+    const booking = bookings.insert(recordStatus({
+      bookingId: nextReference(bookings, 'bookingId', 'BK'),
+      userId: req.user.id,
+      customerName,
+      // The account's email, not one sent with the booking, so a booking can't
+      // be made out to somebody else
+      customerEmail: req.user.email,
+      customerPhone: customerPhone || '',
+      eventType,
+      eventDate,
+      timeSlot,
+      startTime,
+      endTime,
+      serviceStyle,
+      eventVenue,
+      numGuests,
+      specialInstructions: specialInstructions || '',
+      ...priceFields(price),
+      paymentSchedule: buildSchedule(price.subtotal, new Date().toISOString().slice(0, 10), eventDate),
+      createdAt: new Date().toISOString()
+    }, 'pending', req.user, 'Booked'));
+    return { booking };
   });
-});
 
-// Get single booking
-router.get('/:id', authenticateToken, requireCustomerOrAdmin, (req, res) => {
-  const db = getDatabase();
-  const bookingId = req.params.id;
-  const isAdmin = req.user.userType === 'admin';
-  
-  let query = `
-    SELECT b.*, u.first_name, u.last_name, u.email, u.phone_number
-    FROM bookings b
-    JOIN users u ON b.user_id = u.id
-    WHERE b.id = ?
-  `;
-  
-  const params = [bookingId];
-  if (!isAdmin) {
-    query += ' AND b.user_id = ?';
-    params.push(req.user.id);
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
   }
 
-  db.get(query, params, (err, booking) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+  res.status(201).json({
+    message: 'Booking created successfully',
+    booking: result.booking
+  });
+}));
+
+// What a customer may change on their booking. The occasion and their name and
+// email stay as booked.
+const MODIFIABLE_FIELDS = ['packageId', 'eventDate', 'timeSlot', 'startTime', 'endTime', 'serviceStyle', 'eventVenue', 'numGuests', 'specialInstructions', 'customerPhone', 'menuItems'];
+// The booking fields kept in its changeHistory
+const TRACKED_FIELDS = ['packageName', 'eventDate', 'timeSlot', 'startTime', 'endTime', 'serviceStyle', 'eventVenue', 'numGuests', 'specialInstructions', 'customerPhone', 'items', 'totalAmount'];
+
+// Fields required when booking may be left out but not emptied
+const updateBookingSchema = {
+  params: ID_PARAMS,
+  body: Object.fromEntries(MODIFIABLE_FIELDS.map(field => [field, { ...bookingSchema[field], required: false, notEmpty: !!bookingSchema[field].required }]))
+};
+
+// Customer: change their own booking, up to the cutoff before the event (see
+// lib/bookingChanges.js). Fields left out stay as they are. A new date, time
+// or guest count is checked against availability again, and a new package,
+// guest count or menu is priced again; otherwise the booking keeps its price.
+// Its receipt shows the new price too (see routes/receipts.js).
+router.put('/:id', authenticateToken, validate(updateBookingSchema), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking || booking.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  const notAllowed = modificationProblem(booking);
+  if (notAllowed) return res.status(409).json({ error: notAllowed });
+
+  const sent = Object.fromEntries(MODIFIABLE_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .map(field => [field, req.body[field]]));
+  const updated = { ...booking, ...sent };
+  const moved = ['eventDate', 'timeSlot', 'startTime', 'endTime', 'numGuests'].some(field => sent[field] !== undefined && sent[field] !== booking[field]);
+
+  if (sent.eventDate && sent.eventDate !== booking.eventDate) {
+    if (daysUntil(sent.eventDate) < MODIFICATION_CUTOFF_DAYS) {
+      return sendFieldErrors(res, { eventDate: `must be at least ${MODIFICATION_CUTOFF_DAYS} days from today` });
     }
+    if (await db.blockedDates.findOne({ date: sent.eventDate })) {
+      return res.status(409).json({ error: 'Sorry, we are not taking bookings on this date. Please choose another date.' });
+    }
+  }
+  if (moved && updated.timeSlot && updated.startTime && updated.endTime) {
+    const timeErrors = timeProblems(updated);
+    if (timeErrors) return sendFieldErrors(res, timeErrors);
+  }
 
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+  let price = null;
+  if (['packageId', 'numGuests', 'menuItems'].some(field => sent[field] !== undefined)) {
+    const items = sent.menuItems || (booking.items || []).map(item => ({ itemId: item.itemId, quantity: item.quantity }));
+    try {
+      const [packages, menu] = await Promise.all([db.packages.list(), db.menu.list()]);
+      price = pricing.quote({ occasion: booking.eventType, packageId: updated.packageId, numGuests: updated.numGuests, items }, { packages, menu });
+    } catch (error) {
+      if (!(error instanceof pricing.PricingError)) throw error;
+      return sendFieldErrors(res, { [error.field]: error.reason });
     }
+  }
 
-    // Get booking items
-    db.all(
-      `SELECT bi.*, mi.item_name, mi.description, mi.category
-       FROM booking_items bi
-       JOIN menu_items mi ON bi.item_id = mi.id
-       WHERE bi.booking_id = ?`,
-      [bookingId],
-      (err, items) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        res.json({ 
-          booking: {
-            ...booking,
-            items
-          }
-        });
-      }
-    );
+  const payments = await db.payments.list({ bookingId: booking.id });
+
+  // Like a new booking, the availability check and the save happen together.
+  // The booking is left out of its own day's count.
+  const result = await db.bookings.transaction(bookings => {
+    const found = bookings.get(booking.id);
+    const problem = modificationProblem(found) || (moved && capacityProblem(
+      bookings.list({ eventDate: updated.eventDate }).filter(b => b.id !== found.id),
+      updated
+    ));
+    if (problem) return { problem };
+
+    const { menuItems: _, ...fields } = sent;
+    const changed = { ...fields, ...(price ? priceFields(price) : {}) };
+    const changes = describeChanges(found, { ...found, ...changed }, TRACKED_FIELDS);
+    if (Object.keys(changes).length === 0) return { booking: found, changes };
+    // Unpaid installments follow the new price and date
+    if (found.paymentSchedule && (changes.totalAmount || changes.eventDate)) {
+      changed.paymentSchedule = reschedule(
+        settleSchedule(found.paymentSchedule, payments),
+        changed.totalAmount ?? found.totalAmount, found.createdAt.slice(0, 10), changed.eventDate ?? found.eventDate
+      );
+    }
+
+    const saved = bookings.update(found.id, record => {
+      Object.assign(record, changed);
+      record.updatedAt = new Date().toISOString();
+      record.changeHistory = [...(record.changeHistory || []), { at: record.updatedAt, byUserId: req.user.id, changes }];
+    });
+    return { booking: saved, changes };
   });
-});
 
-// Create new booking
-router.post('/', [
-  authenticateToken,
-  requireCustomerOrAdmin,
-  body('eventType').notEmpty().trim().escape(),
-  body('eventDate').isISO8601(),
-  body('eventVenue').notEmpty().trim().escape(),
-  body('numGuests').isInt({ min: 1 }),
-  body('specialInstructions').optional().trim().escape(),
-  body('menuItems').isArray({ min: 1 }),
-  body('menuItems.*.itemId').isInt(),
-  body('menuItems.*.quantity').isInt({ min: 1 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
+  }
+  if (Object.keys(result.changes).length === 0) {
+    return res.json({ message: 'Nothing was changed', booking: withSettledSchedule(result.booking, payments) });
+  }
 
-    const { eventType, eventDate, eventVenue, numGuests, specialInstructions, menuItems } = req.body;
-    const db = getDatabase();
+  const staff = (await db.users.list()).filter(user => hasPermission(user, 'bookings:manage'));
+  await notifyStaff(staff, result.booking, result.changes);
 
-    // Generate booking ID
-    const bookingId = `BK-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+  res.json({ message: 'Booking updated successfully', booking: withSettledSchedule(result.booking, payments) });
+}));
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const validItems = [];
+// What cancelling the booking now would cost under the cancellation policy
+// (see lib/cancellation.js), for the customer or staff to see before they
+// cancel. problem says why it can't be cancelled, if it can't.
+router.get('/:id/cancellation', authenticateToken, validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking || (!hasPermission(req.user, 'bookings:read') && booking.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
 
-    for (const item of menuItems) {
-      const menuItem = await new Promise((resolve, reject) => {
-        db.get('SELECT * FROM menu_items WHERE id = ? AND is_available = 1', [item.itemId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+  res.json({
+    terms: cancellationTerms(booking, await db.payments.list({ bookingId: booking.id })),
+    policy: CANCELLATION_POLICY,
+    problem: changeProblem(booking.bookingStatus, 'cancelled')
+  });
+}));
+
+const cancelSchema = {
+  params: ID_PARAMS,
+  body: { reason: { type: 'string', required: true, maxLength: 500 } }
+};
+
+// Customer: cancel their own booking. The fee and refund follow the
+// cancellation policy and the staff get an email.
+router.post('/:id/cancel', authenticateToken, validate(cancelSchema), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking || booking.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
 
-      if (!menuItem) {
-        return res.status(400).json({ error: `Menu item with ID ${item.itemId} not found or unavailable` });
-      }
+  const result = await cancelBooking(booking.id, req.user, { reason: req.body.reason, byCustomer: true },
+    found => changeProblem(found.bookingStatus, 'cancelled'));
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
+  }
 
-      const itemTotal = menuItem.price_per_serving * item.quantity;
-      totalAmount += itemTotal;
+  const staff = (await db.users.list()).filter(user => hasPermission(user, 'bookings:manage'));
+  await notifyStaff(staff, result.booking, {
+    bookingStatus: { from: booking.bookingStatus, to: 'cancelled' },
+    cancellationFee: { from: null, to: result.booking.cancellation.feeAmount }
+  });
 
-      validItems.push({
-        itemId: item.itemId,
-        quantity: item.quantity,
-        unitPrice: menuItem.price_per_serving,
-        totalPrice: itemTotal
-      });
-    }
+  res.json({ message: 'Booking cancelled', booking: result.booking, creditNote: result.creditNote });
+}));
 
-    // Create booking
-    db.run(
-      `INSERT INTO bookings (booking_id, user_id, event_type, event_date, event_venue, num_guests, special_instructions, total_amount)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [bookingId, req.user.id, eventType, eventDate, eventVenue, numGuests, specialInstructions || '', totalAmount],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to create booking' });
-        }
-
-        const newBookingId = this.lastID;
-
-        // Insert booking items
-        const insertItem = db.prepare(`
-          INSERT INTO booking_items (booking_id, item_id, quantity, unit_price, total_price)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-
-        validItems.forEach(item => {
-          insertItem.run(newBookingId, item.itemId, item.quantity, item.unitPrice, item.totalPrice);
-        });
-        insertItem.finalize();
-
-        res.status(201).json({
-          message: 'Booking created successfully',
-          booking: {
-            id: newBookingId,
-            bookingId,
-            eventType,
-            eventDate,
-            eventVenue,
-            numGuests,
-            specialInstructions,
-            totalAmount,
-            items: validItems
-          }
-        });
-      }
-    );
-  } catch (error) {
-    console.error('Create booking error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+const statusSchema = {
+  params: ID_PARAMS,
+  body: {
+    status: { type: 'string', required: true, oneOf: BOOKING_STATUSES },
+    reason: { type: 'string', maxLength: 500 },
+    // Only for cancelling: no fee when the cancellation is on our side
+    waiveFee: { type: 'boolean' }
   }
-});
-
-// Update booking status (admin only)
-router.patch('/:id/status', [
-  authenticateToken,
-  requireCustomerOrAdmin,
-  body('status').isIn(['pending', 'confirmed', 'cancelled', 'completed'])
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+};
+
+// Move a booking to its next status. Only the changes in lib/bookingStatus.js
+// are allowed; anything else is a 409 that lists what the booking can go to.
+// Cancelling charges the cancellation policy's fee unless waiveFee is set.
+router.patch('/:id/status', requirePermission('bookings:manage'), validate(statusSchema), asyncHandler(async (req, res) => {
+  const { status, reason, waiveFee } = req.body;
+
+  if (status === 'cancelled') {
+    const cancelled = await cancelBooking(req.params.id, req.user, { reason, waiveFee: !!waiveFee, byCustomer: false },
+      found => changeProblem(found.bookingStatus, status) || missingReason(status, reason));
+    if (cancelled.problem) return res.status(409).json({ error: cancelled.problem });
+    if (!cancelled.booking) return res.status(404).json({ error: 'Booking not found' });
+    return res.json({ message: 'Booking cancelled', booking: cancelled.booking, creditNote: cancelled.creditNote });
   }
 
-  const { status } = req.body;
-  const bookingId = req.params.id;
-  const db = getDatabase();
-
-  // Check if user is admin or booking owner
-  db.get(
-    'SELECT user_id FROM bookings WHERE id = ?',
-    [bookingId],
-    (err, booking) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+  // The deposit is paid or not by the ledger
+  const payments = await db.payments.list({ bookingId: req.params.id });
+  const result = await db.bookings.transaction(bookings => {
+    const found = bookings.get(req.params.id);
+    if (!found) return {};
+    const problem = changeProblem(found.bookingStatus, status) || missingReason(status, reason) || depositProblem(withSettledSchedule(found, payments), status);
+    if (problem) return { problem };
+    return { booking: bookings.update(found.id, booking => recordStatus(booking, status, req.user, reason)) };
+  });
 
-      if (!booking) {
-        return res.status(404).json({ error: 'Booking not found' });
-      }
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
+  }
+  if (!result.booking) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
 
-      if (req.user.userType !== 'admin' && booking.user_id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+  res.json({ message: 'Booking status updated successfully', booking: withSettledSchedule(result.booking, payments) });
+}));
+
+const paymentSchema = {
+  params: ID_PARAMS,
+  body: {
+    amount: { type: 'number', required: true, min: 0.01 },
+    method: { type: 'string', required: true, oneOf: Object.keys(PAYMENT_METHODS) },
+    // The GCash, bank or card terminal reference, needed for all but cash
+    reference: { type: 'string', maxLength: 100 },
+    // When the money came in, today if left out
+    paidOn: { type: 'date' }
+  }
+};
+
+// The booking's payments, oldest first, and what is left to pay (see
+// lib/payments.js). Customers can see their own.
+router.get('/:id/payments', authenticateToken, validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking || (!hasPermission(req.user, 'bookings:read') && booking.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
 
-      db.run(
-        'UPDATE bookings SET booking_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [status, bookingId],
-        (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update booking status' });
-          }
+  const payments = await db.payments.list({ bookingId: booking.id });
+  res.json({
+    payments: payments.sort((a, b) => a.paidOn.localeCompare(b.paidOn) || a.createdAt.localeCompare(b.createdAt)),
+    summary: paymentSummary(amountOwed(booking), payments),
+    methods: PAYMENT_METHODS
+  });
+}));
+
+// Staff: record a payment received for the booking. It pays off the booking's
+// installments in order (see recordPayment in lib/payments.js). A payment of
+// more than the balance is refused.
+router.post('/:id/payments', requirePermission('bookings:manage'), validate(paymentSchema), asyncHandler(async (req, res) => {
+  const { amount, method, reference, paidOn } = req.body;
+  if (method !== 'cash' && !reference) {
+    return sendFieldErrors(res, { reference: `is required for ${PAYMENT_METHODS[method]} payments` });
+  }
 
-          res.json({ message: 'Booking status updated successfully' });
-        }
-      );
-    }
-  );
-});
-
-// Delete booking
-router.delete('/:id', authenticateToken, requireCustomerOrAdmin, (req, res) => {
-  const bookingId = req.params.id;
-  const db = getDatabase();
-
-  // Check if user is admin or booking owner
-  db.get(
-    'SELECT user_id FROM bookings WHERE id = ?',
-    [bookingId],
-    (err, booking) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
 
-      if (!booking) {
-        return res.status(404).json({ error: 'Booking not found' });
-      }
+  const result = await recordPayment(booking, { amount, method, reference, paidOn }, req.user);
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
+  }
 
-      if (req.user.userType !== 'admin' && booking.user_id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+  res.status(201).json({ message: 'Payment recorded', ...result });
+}));
 
-      // Delete booking items first
-      db.run('DELETE FROM booking_items WHERE booking_id = ?', [bookingId], (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to delete booking items' });
-        }
-
-        // Delete booking
-        db.run('DELETE FROM bookings WHERE id = ?', [bookingId], (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to delete booking' });
-          }
-
-          res.json({ message: 'Booking deleted successfully' });
-        });
-      });
-    }
-  );
-});
+// Customer: pay the booking's next installment online. Answers with the
+// checkout, whose checkoutUrl is the provider's page to send the customer to
+// (see lib/paymentGateway.js).
+router.post('/:id/checkout', authenticateToken, validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  const booking = await db.bookings.get(req.params.id);
+  if (!booking || booking.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  let result;
+  try {
+    result = await openCheckout(booking);
+  } catch (error) {
+    console.error('Error opening checkout:', error);
+    return res.status(502).json({ error: 'The payment provider could not be reached. Please try again later.' });
+  }
+  if (result.problem) {
+    return res.status(409).json({ error: result.problem });
+  }
+
+  const { events, ...checkout } = result.checkout;
+  res.status(201).json({ checkout });
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
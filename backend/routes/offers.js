@@ -0,0 +1,84 @@
+const express = require('express');
+const db = require('../repositories');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ID_PARAMS, validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// title is only required when creating an offer
+const offerFields = {
+  description: { type: 'string', maxLength: 2000 },
+  imageUrl: { type: 'string', maxLength: 500 },
+  startAt: { type: 'datetime', nullable: true },
+  endAt: { type: 'datetime', nullable: true },
+  active: { type: 'boolean' }
+};
+
+// Offers shown on the site right now
+router.get('/active', asyncHandler(async (req, res) => {
+  const now = new Date();
+  const active = (await db.offers.list({ active: true })).filter(o => {
+    const start = o.startAt ? new Date(o.startAt) : null;
+    const end = o.endAt ? new Date(o.endAt) : null;
+    if (start && now < start) return false;
+    if (end && now > end) return false;
+    return true;
+  });
+  res.json({ offers: active });
+}));
+
+// Admin: list all offers
+router.get('/', requirePermission('offers:manage'), asyncHandler(async (req, res) => {
+  const offers = await db.offers.list();
+  res.json({ offers });
+}));
+
+// Admin: create offer
+const createOfferSchema = {
+  body: { title: { type: 'string', required: true, maxLength: 200 }, ...offerFields }
+};
+
+router.post('/', requirePermission('offers:manage'), validate(createOfferSchema), asyncHandler(async (req, res) => {
+  const { title, description, imageUrl, startAt, endAt, active = true } = req.body;
+
+  const offer = await db.offers.insert({
+    title,
+    description: description || '',
+    imageUrl: imageUrl || '',
+    startAt: startAt || null,
+    endAt: endAt || null,
+    active: !!active,
+    createdAt: new Date().toISOString()
+  });
+  res.status(201).json({ offer });
+}));
+
+const updateOfferSchema = {
+  params: ID_PARAMS,
+  body: { title: { type: 'string', maxLength: 200 }, ...offerFields }
+};
+
+// Admin: update offer
+router.put('/:id', requirePermission('offers:manage'), validate(updateOfferSchema), asyncHandler(async (req, res) => {
+  const { title, description, imageUrl, startAt, endAt, active } = req.body;
+  const offer = await db.offers.update(req.params.id, found => {
+    if (title !== undefined) found.title = title;
+    if (description !== undefined) found.description = description;
+    if (imageUrl !== undefined) found.imageUrl = imageUrl;
+    if (startAt !== undefined) found.startAt = startAt;
+    if (endAt !== undefined) found.endAt = endAt;
+    if (active !== undefined) found.active = !!active;
+    found.updatedAt = new Date().toISOString();
+  });
+  if (!offer) return res.status(404).json({ error: 'Offer not found' });
+  res.json({ offer });
+}));
+
+// Admin: delete offer
+router.delete('/:id', requirePermission('offers:manage'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  if (!(await db.offers.remove(req.params.id))) return res.status(404).json({ error: 'Offer not found' });
+  res.json({ message: 'Offer deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const db = require('../repositories');
+const pricing = require('../lib/pricing');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ID_PARAMS, validate, sendFieldErrors } = require('../middleware/validate');
+
+const router = express.Router();
+
+// name, occasions and pricePerHead are only required when creating a package.
+// A dish's quantity is servings per guest.
+const packageFields = {
+  description: { type: 'string', maxLength: 2000 },
+  occasions: { type: 'array', minItems: 1, items: { type: 'string', oneOf: pricing.OCCASIONS } },
+  dishes: {
+    type: 'array',
+    maxItems: 50,
+    items: {
+      type: 'object',
+      fields: {
+        itemId: { type: 'integer', required: true, min: 1 },
+        quantity: { type: 'number', required: true, min: 0.1, max: 100 }
+      }
+    }
+  },
+  pricePerHead: { type: 'number', min: 0, max: 1000000 },
+  multiplier: { type: 'number', min: 0.1, max: 10 },
+  stylingFee: { type: 'number', min: 0, max: 1000000 },
+  minGuests: { type: 'integer', min: 1, max: 10000 },
+  includes: { type: 'array', maxItems: 30, items: { type: 'string', required: true, maxLength: 200 } },
+  activeFrom: { type: 'date', nullable: true },
+  activeUntil: { type: 'date', nullable: true }
+};
+
+// Checks a schema can't do, on the package as it will be saved: it has what
+// pricing needs (a package it can't price would break quotes and bookings for
+// everyone), the dishes are on the menu and the active window doesn't end
+// before it starts. Returns the wrong fields, or null.
+async function checkPackage(pkg) {
+  const errors = {};
+  if (!pkg.name) errors.name = 'is required';
+  if (!Array.isArray(pkg.occasions) || pkg.occasions.length === 0) errors.occasions = 'is required';
+  if (typeof pkg.pricePerHead !== 'number') errors.pricePerHead = 'is required';
+  if (!Array.isArray(pkg.dishes)) errors.dishes = 'must be a list';
+  const menu = await db.menu.list();
+  (pkg.dishes || []).forEach((dish, index) => {
+    if (!menu.some(m => m.id === dish.itemId)) errors[`dishes[${index}].itemId`] = 'is not a menu item';
+  });
+  if (pkg.activeFrom && pkg.activeUntil && pkg.activeUntil < pkg.activeFrom) {
+    errors.activeUntil = 'must not be before activeFrom';
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// Packages that can be booked today, for the booking page
+router.get('/active', asyncHandler(async (req, res) => {
+  const packages = pricing.offeredPackages(await db.packages.list());
+  res.json({ packages, occasions: pricing.OCCASION_NAMES, taxRate: pricing.TAX_RATE });
+}));
+
+// Admin: list all packages
+router.get('/', requirePermission('packages:manage'), asyncHandler(async (req, res) => {
+  const packages = await db.packages.list();
+  res.json({ packages, occasions: pricing.OCCASION_NAMES });
+}));
+
+// Admin: create package
+const createPackageSchema = {
+  body: {
+    ...packageFields,
+    name: { type: 'string', required: true, maxLength: 200 },
+    occasions: { ...packageFields.occasions, required: true },
+    pricePerHead: { ...packageFields.pricePerHead, required: true }
+  }
+};
+
+router.post('/', requirePermission('packages:manage'), validate(createPackageSchema), asyncHandler(async (req, res) => {
+  const { name, description, occasions, dishes, pricePerHead, multiplier, stylingFee, minGuests, includes, activeFrom, activeUntil } = req.body;
+
+  const pkg = {
+    name,
+    description: description || '',
+    occasions: [...new Set(occasions)],
+    dishes: dishes || [],
+    pricePerHead,
+    multiplier: multiplier ?? 1,
+    stylingFee: stylingFee ?? 0,
+    minGuests: minGuests ?? 1,
+    includes: includes || [],
+    activeFrom: activeFrom || null,
+    activeUntil: activeUntil || null
+  };
+  const errors = await checkPackage(pkg);
+  if (errors) return sendFieldErrors(res, errors);
+
+  const created = await db.packages.insert({ ...pkg, createdAt: new Date().toISOString() });
+  res.status(201).json({ package: created });
+}));
+
+// The fields required when creating may be left out but not emptied
+const updatePackageSchema = {
+  params: ID_PARAMS,
+  body: {
+    ...packageFields,
+    name: { type: 'string', notEmpty: true, maxLength: 200 },
+    occasions: { ...packageFields.occasions, notEmpty: true },
+    pricePerHead: { ...packageFields.pricePerHead, notEmpty: true }
+  }
+};
+
+// Admin: update package. Bookings keep the price they were made with.
+router.put('/:id', requirePermission('packages:manage'), validate(updatePackageSchema), asyncHandler(async (req, res) => {
+  const existing = await db.packages.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Package not found' });
+
+  const changes = Object.fromEntries(Object.keys(updatePackageSchema.body)
+    .filter(field => req.body[field] !== undefined)
+    .map(field => [field, req.body[field]]));
+  if (changes.occasions) changes.occasions = [...new Set(changes.occasions)];
+
+  const errors = await checkPackage({ ...existing, ...changes });
+  if (errors) return sendFieldErrors(res, errors);
+
+  const pkg = await db.packages.update(req.params.id, found => {
+    Object.assign(found, changes);
+    found.updatedAt = new Date().toISOString();
+  });
+  if (!pkg) return res.status(404).json({ error: 'Package not found' });
+  res.json({ package: pkg });
+}));
+
+// Admin: delete package. Bookings made with it keep its name and price.
+router.delete('/:id', requirePermission('packages:manage'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+  if (!(await db.packages.remove(req.params.id))) return res.status(404).json({ error: 'Package not found' });
+  res.json({ message: 'Package deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const db = require('../repositories');
+const gateway = require('../lib/paymentGateway');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Online payments (see lib/paymentGateway.js): the provider's webhook, the
+// customer's view of a checkout and, with the simulator, what its checkout
+// page calls.
+
+// Provider: the result of a checkout. Only the signature vouches for it, so
+// there is no login. Anything signed is acknowledged, even events that are
+// ignored, so the provider stops sending them.
+router.post('/webhook', asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await gateway.handleWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    if (!(error instanceof gateway.WebhookSignatureError)) throw error;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ received: true, duplicate: !!result.duplicate, ignored: result.ignored || null });
+}));
+
+// A checkout and whether it was paid, for the page the customer comes back
+// to. Customers only see their own.
+router.get('/checkouts/:checkoutId', authenticateToken, asyncHandler(async (req, res) => {
+  const checkout = await db.checkouts.findOne({ checkoutId: req.params.checkoutId });
+  if (!checkout || (!hasPermission(req.user, 'bookings:read') && checkout.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Checkout not found' });
+  }
+  const { events, ...shown } = checkout;
+  res.json({ checkout: { ...shown, status: gateway.checkoutStatus(checkout) } });
+}));
+
+// The simulator's checkout page. Showing a session needs no login, like a
+// real provider's page, but only the customer whose checkout it is can end it.
+function simulatorOnly(req, res, next) {
+  const provider = gateway.getProvider();
+  if (!provider || provider.name !== 'simulator') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  next();
+}
+
+const ownSession = asyncHandler(async (req, res, next) => {
+  const session = gateway.getProvider().session(req.params.reference);
+  const checkout = session && await db.checkouts.findOne({ checkoutId: session.checkoutId });
+  if (!checkout || checkout.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Unknown checkout session' });
+  }
+  next();
+});
+
+router.get('/simulator/:reference', simulatorOnly, (req, res) => {
+  const session = gateway.getProvider().session(req.params.reference);
+  if (!session) return res.status(404).json({ error: 'Unknown checkout session' });
+  res.json({ session });
+});
+
+const completeSchema = {
+  outcome: { type: 'string', required: true, oneOf: ['paid', 'failed', 'expired'] },
+  method: { type: 'string', oneOf: ['gcash', 'card'] }
+};
+
+// Pay, decline or expire the session; the simulator then sends the webhook
+router.post('/simulator/:reference/complete', simulatorOnly, authenticateToken, ownSession, validate({ body: completeSchema }), asyncHandler(async (req, res) => {
+  const result = await gateway.getProvider().complete(req.params.reference, req.body.outcome, req.body.method);
+  if (result.problem) return res.status(409).json({ error: result.problem });
+  res.json({ session: gateway.getProvider().session(req.params.reference), ...result });
+}));
+
+// Send the last webhook again, to see that it is only applied once
+router.post('/simulator/:reference/resend', simulatorOnly, authenticateToken, ownSession, asyncHandler(async (req, res) => {
+  const result = await gateway.getProvider().resend(req.params.reference);
+  if (result.problem) return res.status(409).json({ error: result.problem });
+  res.json(result);
+}));
+
+module.exports = router;
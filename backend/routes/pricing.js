@@ -0,0 +1,44 @@
+const express = require('express');
+const db = require('../repositories');
+const pricing = require('../lib/pricing');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+
+const router = express.Router();
+
+// items is a comma separated list of itemId:quantity, e.g. 3:50,12:50
+const quoteSchema = {
+  occasion: { type: 'string', required: true, oneOf: pricing.OCCASIONS },
+  packageId: { type: 'integer', min: 1 },
+  numGuests: { type: 'integer', required: true, min: 1, max: 10000 },
+  items: { type: 'string', pattern: /^\d+:\d+(,\d+:\d+)*$/, patternMessage: 'must look like itemId:quantity,itemId:quantity' }
+};
+
+// The quote's query names some fields differently from a booking
+function quoteField(field) {
+  if (field === 'eventType') return 'occasion';
+  return field.startsWith('menuItems') ? 'items' : field;
+}
+
+// Live price of a booking, for the booking page
+router.get('/quote', validate({ query: quoteSchema }), asyncHandler(async (req, res) => {
+  const { occasion, packageId, numGuests } = req.query;
+  const items = (req.query.items || '')
+    .split(',')
+    .filter(Boolean)
+    .map(pair => {
+      const [itemId, quantity] = pair.split(':').map(Number);
+      return { itemId, quantity };
+    })
+    .filter(item => item.quantity > 0);
+
+  try {
+    const [packages, menu] = await Promise.all([db.packages.list(), db.menu.list()]);
+    res.json({ quote: pricing.quote({ occasion, packageId, numGuests, items }, { packages, menu }) });
+  } catch (error) {
+    if (!(error instanceof pricing.PricingError)) throw error;
+    sendFieldErrors(res, { [quoteField(error.field)]: error.reason });
+  }
+}));
+
+module.exports = router;
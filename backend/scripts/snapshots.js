@@ -0,0 +1,82 @@
+// Command line for the data snapshots (see lib/snapshots.js)
+//   npm run snapshots -- list
+//   npm run snapshots -- create
+//   npm run snapshots -- verify <id>
+//   npm run snapshots -- restore <id>
+//   npm run snapshots -- prune
+// create and restore refuse to run while the server is up: its storage locks
+// only keep out its own writes, so a copy taken from here could catch a file
+// half updated, and with STORAGE_DRIVER=sqlite it has the database open. Take a
+// snapshot through the server instead (POST /api/admin/snapshots). The next
+// start repairs and migrates restored data.
+
+const snapshots = require('../lib/snapshots');
+const { runningServerPid } = require('../lib/storage');
+
+// Commands that read or replace the data files
+const NEEDS_SERVER_STOPPED = ['create', 'restore'];
+
+function formatSize(bytes) {
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printSnapshot(snapshot) {
+    console.log(`${snapshot.id}  ${snapshot.createdAt}  ${snapshot.reason.padEnd(14)}  ${snapshot.files} file(s), ${formatSize(snapshot.size)}`);
+}
+
+const commands = {
+    list() {
+        const list = snapshots.listSnapshots();
+        if (!list.length) {
+            console.log(`No snapshots in ${snapshots.SNAPSHOT_DIR}`);
+            return;
+        }
+        list.forEach(printSnapshot);
+    },
+
+    async create() {
+        const snapshot = await snapshots.createSnapshot('manual');
+        console.log('💾 Snapshot created:');
+        printSnapshot(snapshot);
+    },
+
+    verify(id) {
+        snapshots.verifySnapshot(id);
+        console.log(`✅ Snapshot ${id} is intact`);
+    },
+
+    async restore(id) {
+        const { restored, backup } = await snapshots.restoreSnapshot(id);
+        console.log(`✅ Restored snapshot ${restored.id} from ${restored.createdAt}`);
+        console.log(`💾 The data from before the restore is in snapshot ${backup.id}`);
+        console.log('Everyone has to log in again. Start the server to finish.');
+    },
+
+    prune() {
+        const removed = snapshots.pruneSnapshots();
+        console.log(removed.length ? `🗑️  Removed ${removed.length} snapshot(s): ${removed.join(', ')}` : 'Nothing to remove');
+    }
+};
+
+async function main() {
+    const [command, id] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.log('Usage: npm run snapshots -- <list | create | verify <id> | restore <id> | prune>');
+        process.exit(1);
+    }
+    if (['verify', 'restore'].includes(command) && !id) {
+        console.log(`Usage: npm run snapshots -- ${command} <id>`);
+        process.exit(1);
+    }
+    const serverPid = NEEDS_SERVER_STOPPED.includes(command) && runningServerPid();
+    if (serverPid) {
+        console.error(`❌ The server is running (process ${serverPid}). Stop it before you ${command} a snapshot.`);
+        process.exit(1);
+    }
+    await commands[command](id);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
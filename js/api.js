@@ -59,6 +59,8 @@ class APIClient {
                 const error = new Error(data.error || data.message || `HTTP ${response.status}`);
                 error.data = data;
                 error.status = response.status;
+                // 400 answers name the fields that were wrong, e.g. { numGuests: 'must be at least 1' }
+                error.fields = data.fields || null;
                 throw error;
             }
 
@@ -69,6 +71,44 @@ class APIClient {
         }
     }
 
+    // Mark the inputs named in an API error's field list. inputIds maps the
+    // API's field names to element ids, e.g. { numGuests: 'num-guests' }.
+    // Returns true if every field in the error was marked, otherwise the
+    // caller should still show error.message.
+    showFieldErrors(error, inputIds) {
+        if (!error || !error.fields) return false;
+
+        let marked = 0;
+        const fields = Object.entries(error.fields);
+        fields.forEach(([field, message]) => {
+            const input = document.getElementById(inputIds[field]);
+            if (!input) return;
+
+            input.setAttribute('aria-invalid', 'true');
+            input.style.borderColor = '#dc3545';
+
+            const note = document.createElement('small');
+            note.className = 'field-error';
+            note.style.color = '#dc3545';
+            note.style.display = 'block';
+            note.textContent = message.charAt(0).toUpperCase() + message.slice(1);
+            input.insertAdjacentElement('afterend', note);
+
+            if (!marked) input.focus();
+            marked++;
+        });
+        return marked === fields.length;
+    }
+
+    // Remove the marks left by showFieldErrors() inside a form
+    clearFieldErrors(form) {
+        form.querySelectorAll('.field-error').forEach(note => note.remove());
+        form.querySelectorAll('[aria-invalid="true"]').forEach(input => {
+            input.removeAttribute('aria-invalid');
+            input.style.borderColor = '';
+        });
+    }
+
     // Authentication endpoints
     async login(email, password) {
         return this.request('/auth/login', {
@@ -77,6 +117,14 @@ class APIClient {
         });
     }
 
+    // Second login step when the account has two-factor authentication on
+    async loginTwoFactor(challengeToken, code) {
+        return this.request('/auth/login/2fa', {
+            method: 'POST',
+            body: JSON.stringify({ challengeToken, code })
+        });
+    }
+
     async register(userData) {
         return this.request('/auth/register', {
             method: 'POST',
@@ -89,16 +137,6 @@ class APIClient {
     }
 
     async updateProfile(profileData) {
-        // For simple backend, include current email from localStorage
-        const userRaw = localStorage.getItem('dsis_user');
-        if (userRaw) {
-            try {
-                const user = JSON.parse(userRaw);
-                profileData.email = user.email; // Include current email for simple backend
-            } catch (e) {
-                console.warn('Could not parse user from localStorage');
-            }
-        }
         return this.request('/auth/profile', {
             method: 'PUT',
             body: JSON.stringify(profileData)
@@ -106,20 +144,9 @@ class APIClient {
     }
 
     async changePassword(currentPassword, newPassword) {
-        // For simple backend, include email from localStorage
-        const userRaw = localStorage.getItem('dsis_user');
-        const passwordData = { currentPassword, newPassword };
-        if (userRaw) {
-            try {
-                const user = JSON.parse(userRaw);
-                passwordData.email = user.email; // Include email for simple backend
-            } catch (e) {
-                console.warn('Could not parse user from localStorage');
-            }
-        }
         return this.request('/auth/change-password', {
             method: 'POST',
-            body: JSON.stringify(passwordData)
+            body: JSON.stringify({ currentPassword, newPassword })
         });
     }
 
@@ -129,10 +156,70 @@ class APIClient {
         return result;
     }
 
-    async forgotPassword({ email, mobileNumber, newPassword }) {
+    // Devices the user is signed in on, and signing them out
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(id) {
+        return this.request(`/auth/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    async revokeOtherSessions() {
+        return this.request('/auth/sessions', { method: 'DELETE' });
+    }
+
+    // Step 1 of a password reset: the server emails a reset link
+    async forgotPassword(email) {
         return this.request('/auth/forgot-password', {
             method: 'POST',
-            body: JSON.stringify({ email, mobileNumber, newPassword })
+            body: JSON.stringify({ email })
+        });
+    }
+
+    // Step 2: set the new password with the token from the reset link
+    async resetPassword(token, newPassword) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, newPassword })
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+    }
+
+    async resendVerification() {
+        return this.request('/auth/resend-verification', { method: 'POST' });
+    }
+
+    // Two-factor authentication: setup returns the secret and a QR code image,
+    // enable confirms a code from the app and returns the backup codes
+    async setupTwoFactor() {
+        return this.request('/auth/2fa/setup', { method: 'POST' });
+    }
+
+    async enableTwoFactor(code) {
+        return this.request('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async disableTwoFactor(password, code) {
+        return this.request('/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password, code })
+        });
+    }
+
+    async regenerateBackupCodes(code) {
+        return this.request('/auth/2fa/backup-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code })
         });
     }
 
@@ -163,43 +250,194 @@ class APIClient {
         return this.request(`/bookings/${id}`);
     }
 
-    async updateBookingStatus(id, status) {
+    // Customer: change their own booking. Only the fields sent are changed.
+    async updateBooking(id, changes) {
+        return this.request(`/bookings/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    // Cancelling and no-shows need a reason. waiveFee skips the cancellation fee.
+    async updateBookingStatus(id, status, reason, waiveFee) {
         return this.request(`/bookings/${id}/status`, {
             method: 'PATCH',
-            body: JSON.stringify({ status })
+            body: JSON.stringify({ status, reason, waiveFee })
+        });
+    }
+
+    // A booking's payments and what is left to pay
+    async getPayments(id) {
+        return this.request(`/bookings/${id}/payments`);
+    }
+
+    // Staff: record a payment received for a booking.
+    // payment is { amount, method, reference, paidOn }; method is cash, gcash,
+    // bank_transfer or card.
+    async recordPayment(id, payment) {
+        return this.request(`/bookings/${id}/payments`, {
+            method: 'POST',
+            body: JSON.stringify(payment)
+        });
+    }
+
+    // Customer: open an online checkout for the booking's next installment.
+    // Send the customer to checkout.checkoutUrl to pay.
+    async startCheckout(id) {
+        return this.request(`/bookings/${id}/checkout`, { method: 'POST' });
+    }
+
+    // Whether an online checkout was paid, failed or expired
+    async getCheckout(checkoutId) {
+        return this.request(`/payments/checkouts/${encodeURIComponent(checkoutId)}`);
+    }
+
+    // Payment simulator (PAYMENT_PROVIDER=simulator): its checkout page.
+    // Completing a session or resending its webhook needs the customer's login.
+    async getSimulatorSession(reference) {
+        return this.request(`/payments/simulator/${encodeURIComponent(reference)}`);
+    }
+
+    // outcome is paid, failed or expired; method is gcash or card
+    async completeSimulatorSession(reference, outcome, method) {
+        return this.request(`/payments/simulator/${encodeURIComponent(reference)}/complete`, {
+            method: 'POST',
+            body: JSON.stringify({ outcome, method })
+        });
+    }
+
+    async resendSimulatorWebhook(reference) {
+        return this.request(`/payments/simulator/${encodeURIComponent(reference)}/resend`, { method: 'POST' });
+    }
+
+    // The fee and refund if the booking were cancelled now
+    async getCancellationTerms(id) {
+        return this.request(`/bookings/${id}/cancellation`);
+    }
+
+    // Customer: cancel their own booking
+    async cancelBooking(id, reason) {
+        return this.request(`/bookings/${id}/cancel`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
         });
     }
 
-    // Receipt endpoints
-    async generateReceipt(bookingId, paymentData = {}) {
+    // Each day's status from from to to (YYYY-MM-DD): available, limited, full or blocked
+    async getAvailability(from, to) {
+        const params = new URLSearchParams({ from, to });
+        return this.request(`/availability?${params}`);
+    }
+
+    // Blocked dates take no bookings (holidays, staff days off)
+    async adminGetBlockedDates() {
+        return this.request('/availability/blocked-dates');
+    }
+
+    async adminBlockDate(date, reason) {
+        return this.request('/availability/blocked-dates', {
+            method: 'POST',
+            body: JSON.stringify({ date, reason })
+        });
+    }
+
+    async adminUnblockDate(id) {
+        return this.request(`/availability/blocked-dates/${id}`, { method: 'DELETE' });
+    }
+
+    // Package endpoints
+    async getActivePackages() {
+        return this.request('/packages/active');
+    }
+
+    async adminGetPackages() {
+        return this.request('/packages');
+    }
+
+    async adminCreatePackage(packageData) {
+        return this.request('/packages', {
+            method: 'POST',
+            body: JSON.stringify(packageData)
+        });
+    }
+
+    async adminUpdatePackage(id, packageData) {
+        return this.request(`/packages/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(packageData)
+        });
+    }
+
+    async adminDeletePackage(id) {
+        return this.request(`/packages/${id}`, { method: 'DELETE' });
+    }
+
+    // Pricing endpoints
+    // params: { occasion, packageId, numGuests, items: 'itemId:quantity,...' }
+    async getQuote(params) {
+        const query = new URLSearchParams(params);
+        return this.request(`/pricing/quote?${query}`);
+    }
+
+    // Receipt endpoints. The payment status comes from the booking's payments.
+    async generateReceipt(bookingId) {
         return this.request('/receipts/generate', {
             method: 'POST',
-            body: JSON.stringify({ bookingId, ...paymentData })
+            body: JSON.stringify({ bookingId })
         });
     }
 
+    async getReceipts() {
+        return this.request('/receipts');
+    }
+
     // Admin endpoints
     async getAdminDashboard() {
         return this.request('/admin/dashboard');
     }
 
+    async adminGetUsers() {
+        return this.request('/admin/users');
+    }
+
+    async adminSetUserRole(id, role) {
+        return this.request(`/admin/users/${id}/role`, {
+            method: 'PATCH',
+            body: JSON.stringify({ role })
+        });
+    }
+
+    async adminVerifyUser(id) {
+        return this.request(`/admin/users/${id}/verify`, { method: 'POST' });
+    }
+
+    async adminResendVerification(id) {
+        return this.request(`/admin/users/${id}/resend-verification`, { method: 'POST' });
+    }
+
+    async adminResetTwoFactor(id) {
+        return this.request(`/admin/users/${id}/reset-2fa`, { method: 'POST' });
+    }
+
+    async adminGetLockouts() {
+        return this.request('/admin/lockouts');
+    }
+
+    async adminUnlock(key) {
+        return this.request(`/admin/lockouts/${encodeURIComponent(key)}`, { method: 'DELETE' });
+    }
+
     // Messages endpoints (simple JSON-backed)
-    async sendMessage({ subject, messageContent, userEmail, userName }) {
-        // DB backend ignores userEmail/userName (uses token). Including for backward compatibility.
+    // The message is sent from the logged-in account
+    async sendMessage({ subject, messageContent, userName }) {
         return this.request('/messages', {
             method: 'POST',
-            body: JSON.stringify({ subject, messageContent, userEmail, userName })
+            body: JSON.stringify({ subject, messageContent, userName })
         });
     }
 
-    async getMyMessages(email = null) {
-        // If email provided, use simple backend format
-        if (email) {
-            const params = new URLSearchParams({ email });
-            return this.request(`/messages/my?${params.toString()}`);
-        }
-        // Otherwise, use DB backend: token-based
-        return this.request('/messages/my-messages');
+    async getMyMessages() {
+        return this.request('/messages/my');
     }
 
     async adminGetAllMessages() {
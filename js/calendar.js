@@ -0,0 +1,176 @@
+// Availability calendar for d'sis Catering
+// A month view of GET /api/availability: each day shows whether it is
+// available, limited, full or blocked and how many events it can still take.
+// Used to pick the event date on the booking page and by admins on the
+// bookings page. Needs js/api.js.
+//
+//   const calendar = new AvailabilityCalendar(document.getElementById('event-calendar'), {
+//       onSelect: day => { ... },   // day is the API's entry for the date
+//       allowPast: false            // past days can't be picked (default)
+//   });
+//
+// Full and blocked days can't be picked either.
+class AvailabilityCalendar {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.allowPast = !!options.allowPast;
+        this.days = {};
+        this.selected = null;
+
+        const now = new Date();
+        this.today = AvailabilityCalendar.dateString(now);
+        this.month = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        AvailabilityCalendar.addStyles();
+        this.load();
+    }
+
+    // YYYY-MM-DD in local time, like the values of date inputs
+    static dateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Fetch the shown month's days and draw it
+    async load() {
+        const first = new Date(this.month);
+        const last = new Date(this.month.getFullYear(), this.month.getMonth() + 1, 0);
+        this.error = null;
+        try {
+            const data = await api.getAvailability(AvailabilityCalendar.dateString(first), AvailabilityCalendar.dateString(last));
+            this.timeSlots = data.timeSlots;
+            this.slotHours = data.slotHours;
+            this.bufferMinutes = data.capacity.bufferMinutes;
+            this.days = Object.fromEntries(data.days.map(day => [day.date, day]));
+        } catch (error) {
+            console.error('Error loading availability:', error);
+            this.days = {};
+            this.error = 'Availability could not be loaded. Please try again later.';
+        }
+        this.render();
+    }
+
+    // Reload the shown month, e.g. after a booking was refused as full
+    refresh() {
+        return this.load();
+    }
+
+    changeMonth(step) {
+        this.month = new Date(this.month.getFullYear(), this.month.getMonth() + step, 1);
+        this.load();
+    }
+
+    canPick(day) {
+        if (!day || day.status === 'full' || day.status === 'blocked') return false;
+        return this.allowPast || day.date >= this.today;
+    }
+
+    describe(day) {
+        if (day.status === 'blocked') return day.reason ? `Blocked: ${day.reason}` : 'Not taking bookings';
+        if (day.status === 'full') return 'Fully booked';
+        const slots = day.remaining.slots.map(slot => this.timeSlots[slot] || slot).join(', ');
+        const booked = day.bookedTimes.map(time => `${time.startTime}-${time.endTime}`).join(', ');
+        return `${day.remaining.events} event(s) and ${day.remaining.guests} guests left. Open: ${slots}` +
+            (booked ? `. Booked: ${booked}` : '') +
+            (day.remaining.largeEvent ? '' : '. Too busy for a large event.');
+    }
+
+    render() {
+        const year = this.month.getFullYear();
+        const month = this.month.getMonth();
+        const title = this.month.toLocaleDateString('en-PH', { month: 'long', year: 'numeric' });
+        const currentMonth = new Date(this.today.slice(0, 7) + '-01T00:00:00');
+        const canGoBack = this.allowPast || this.month > currentMonth;
+
+        let cells = '';
+        const blanks = new Date(year, month, 1).getDay();
+        for (let i = 0; i < blanks; i++) cells += '<div class="ac-day ac-empty"></div>';
+
+        const count = new Date(year, month + 1, 0).getDate();
+        for (let d = 1; d <= count; d++) {
+            const date = AvailabilityCalendar.dateString(new Date(year, month, d));
+            const day = this.days[date];
+            const past = date < this.today;
+            const status = day ? day.status : 'unknown';
+            const note = !day ? '' :
+                status === 'blocked' ? 'Closed' :
+                status === 'full' ? 'Full' :
+                `${day.remaining.events} left`;
+            const classes = ['ac-day', `ac-${status}`];
+            if (past) classes.push('ac-past');
+            if (this.canPick(day)) classes.push('ac-pickable');
+            if (date === this.selected) classes.push('ac-selected');
+
+            cells += `
+                <div class="${classes.join(' ')}" data-date="${date}" title="${day ? this.describe(day).replace(/"/g, '&quot;') : ''}">
+                    <span class="ac-number">${d}</span>
+                    <span class="ac-note">${note}</span>
+                </div>`;
+        }
+
+        this.container.innerHTML = `
+            <div class="availability-calendar">
+                <div class="ac-header">
+                    <button type="button" class="ac-nav" data-step="-1" ${canGoBack ? '' : 'disabled'}>&lsaquo;</button>
+                    <strong>${title}</strong>
+                    <button type="button" class="ac-nav" data-step="1">&rsaquo;</button>
+                </div>
+                ${this.error ? `<div class="ac-error">${this.error}</div>` : ''}
+                <div class="ac-grid">
+                    ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(name => `<div class="ac-weekday">${name}</div>`).join('')}
+                    ${cells}
+                </div>
+                <div class="ac-legend">
+                    <span><i class="ac-available"></i> Available</span>
+                    <span><i class="ac-limited"></i> Limited</span>
+                    <span><i class="ac-full"></i> Full</span>
+                    <span><i class="ac-blocked"></i> Blocked</span>
+                </div>
+            </div>`;
+
+        this.container.querySelectorAll('.ac-nav').forEach(button => {
+            button.addEventListener('click', () => this.changeMonth(parseInt(button.dataset.step)));
+        });
+        this.container.querySelectorAll('.ac-pickable').forEach(cell => {
+            cell.addEventListener('click', () => {
+                this.selected = cell.dataset.date;
+                this.render();
+                this.onSelect(this.days[this.selected]);
+            });
+        });
+    }
+
+    // Same look on the dark booking page and the light admin pages
+    static addStyles() {
+        if (document.getElementById('availability-calendar-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'availability-calendar-styles';
+        style.textContent = `
+            .availability-calendar { background: #fff; color: #333; border-radius: 8px; padding: 12px; font-size: 14px; max-width: 520px; }
+            .ac-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
+            .ac-nav { background: #6a1b9a; color: #fff; border: none; border-radius: 4px; width: 32px; height: 32px; font-size: 18px; cursor: pointer; }
+            .ac-nav:disabled { background: #ccc; cursor: default; }
+            .ac-grid { display: grid; grid-template-columns: repeat(7, 1fr); gap: 4px; }
+            .ac-weekday { text-align: center; font-weight: bold; font-size: 12px; color: #666; }
+            .ac-day { border-radius: 4px; padding: 4px; min-height: 48px; display: flex; flex-direction: column; align-items: center; justify-content: center; }
+            .ac-number { font-weight: bold; }
+            .ac-note { font-size: 10px; }
+            .ac-available { background: #d4edda; }
+            .ac-limited { background: #fff3cd; }
+            .ac-full { background: #f8d7da; color: #999; }
+            .ac-blocked { background: #ddd; color: #999; }
+            .ac-unknown { background: #f5f5f5; }
+            .ac-empty { background: none; }
+            .ac-past { opacity: 0.45; }
+            .ac-pickable { cursor: pointer; }
+            .ac-pickable:hover { outline: 2px solid #6a1b9a; }
+            .ac-selected { outline: 3px solid #6a1b9a; }
+            .ac-error { background: #f8d7da; color: #721c24; padding: 8px; border-radius: 4px; margin-bottom: 8px; }
+            .ac-legend { display: flex; gap: 12px; margin-top: 10px; font-size: 12px; flex-wrap: wrap; }
+            .ac-legend i { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; }
+        `;
+        document.head.appendChild(style);
+    }
+}
@@ -10,13 +10,17 @@ class ReceiptSystem {
             // First create the booking
             const bookingResponse = await api.createBooking({
                 eventType: bookingData.occasion,
+                packageId: bookingData.packageId,
                 eventDate: bookingData.eventDate,
+                timeSlot: bookingData.timeSlot,
+                startTime: bookingData.startTime,
+                endTime: bookingData.endTime,
+                serviceStyle: bookingData.serviceStyle,
                 eventVenue: bookingData.eventVenue,
                 numGuests: parseInt(bookingData.numGuests),
                 specialInstructions: bookingData.instructions || '',
                 // Include customer fields for compatibility with simple backend
                 customerName: `${bookingData.firstName} ${bookingData.lastName}`.trim(),
-                customerEmail: bookingData.email,
                 customerPhone: bookingData.contactNumber || '',
                 menuItems: menuItems.map(item => ({
                     itemId: item.id,
@@ -33,10 +37,7 @@ class ReceiptSystem {
             }
 
             // Then generate receipt for the booking
-            const receiptResponse = await api.generateReceipt(bookingId, {
-                paymentMethod: 'Cash/Card',
-                paymentStatus: 'pending'
-            });
+            const receiptResponse = await api.generateReceipt(bookingId);
 
             // Extract receipt - handle both response formats
             const receipt = receiptResponse.receipt || receiptResponse;
@@ -140,7 +141,8 @@ class ReceiptSystem {
                     </div>
                     <div>
                         <h4>Booking #: ${receipt.bookingId}</h4>
-                        <p><strong>Status:</strong> ${receipt.paymentStatus}</p>
+                        <p><strong>Status:</strong> ${receipt.paymentStatus || 'pending'}</p>
+                        ${receipt.paymentMethod ? `<p><strong>Paid by:</strong> ${receipt.paymentMethod}</p>` : ''}
                     </div>
                 </div>
 
@@ -154,7 +156,9 @@ class ReceiptSystem {
                 <div style="margin-bottom: 20px;">
                     <h4>Event Details</h4>
                     <p><strong>Event Type:</strong> ${receipt.eventType}</p>
-                    <p><strong>Date:</strong> ${receipt.eventDate}</p>
+                    <p><strong>Date:</strong> ${receipt.eventDate}${receipt.timeSlot ? ` (${receipt.timeSlot})` : ''}</p>
+                    ${receipt.startTime ? `<p><strong>Time:</strong> ${receipt.startTime} - ${receipt.endTime}</p>` : ''}
+                    ${receipt.serviceStyle ? `<p><strong>Service:</strong> ${receipt.serviceStyle.replace('_', ' ')}</p>` : ''}
                     <p><strong>Venue:</strong> ${receipt.eventVenue}</p>
                     <p><strong>Number of Guests:</strong> ${receipt.numGuests}</p>
                 </div>
@@ -179,19 +183,62 @@ class ReceiptSystem {
                                     <td style="border: 1px solid #ddd; padding: 8px; text-align: right;">₱${Number(((item.unitPrice ?? item.unit_price ?? item.price) || 0) * item.quantity).toFixed(2)}</td>
                                 </tr>
                             `).join('')}
+                            ${(receipt.dishes || []).map(dish => `
+                                <tr>
+                                    <td style="border: 1px solid #ddd; padding: 8px;">${dish.itemName}</td>
+                                    <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${dish.quantity}</td>
+                                    <td colspan="2" style="border: 1px solid #ddd; padding: 8px; text-align: right;">Included in package</td>
+                                </tr>
+                            `).join('')}
                         </tbody>
                     </table>
                 </div>
 
                 <div style="border-top: 2px solid #333; padding-top: 20px;">
+                    ${receipt.packageName ? `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                        <span>Package:</span>
+                        <span>${receipt.packageName}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                        <span>Food Cost:</span>
+                        <span>₱${Number(receipt.foodCost).toFixed(2)}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                        <span>Multiplier:</span>
+                        <span>${receipt.multiplier}x</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                        <span>Styling Fee:</span>
+                        <span>₱${Number(receipt.stylingFee).toFixed(2)}</span>
+                    </div>` : ''}
                     <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
                         <span><strong>Subtotal:</strong></span>
                         <span><strong>₱${Number(receipt.subtotal ?? receipt.totalAmount ?? 0).toFixed(2)}</strong></span>
                     </div>
+                    ${receipt.taxAmount != null ? `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                        <span>VAT (${Math.round((receipt.taxRate || 0) * 100)}%):</span>
+                        <span>₱${Number(receipt.taxAmount).toFixed(2)}</span>
+                    </div>` : ''}
                     <div style="display: flex; justify-content: space-between; font-size: 1.2em; font-weight: bold; border-top: 1px solid #ddd; padding-top: 10px;">
                         <span>Total Amount:</span>
                         <span>₱${Number(receipt.totalAmount ?? receipt.subtotal ?? 0).toFixed(2)}</span>
                     </div>
+                    ${receipt.amountPaid != null ? `
+                    <div style="display: flex; justify-content: space-between; margin-top: 10px;">
+                        <span>Amount Paid:</span>
+                        <span>₱${Number(receipt.amountPaid).toFixed(2)}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px; font-weight: bold;">
+                        <span>Balance:</span>
+                        <span>₱${Number(receipt.balance).toFixed(2)}</span>
+                    </div>` : ''}
+                    ${(receipt.paymentSchedule || []).map(installment => `
+                    <div style="display: flex; justify-content: space-between; margin-top: 10px; font-size: 0.9em; color: #666;">
+                        <span>${installment.label} (due ${installment.dueDate}):</span>
+                        <span>₱${Number(installment.amount).toFixed(2)}</span>
+                    </div>`).join('')}
                 </div>
 
                 <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">